@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+const path = require('path');
+const { setGitPath, escapeFuncname, ALL_REVISIONS } = require('../src/git');
+const { getWorkingTreeHistory, getFunctionHistory } = require('../src/history');
+const { funcnameForLanguage, languageForFile } = require('../src/functions');
+const { formatDate } = require('../src/render');
+
+const USAGE = `Usage:
+  code-history line <file>:<line>[-<end>] [options]
+  code-history fn <file> <name> [options]
+
+Options:
+  --rev <revision>      Start from a branch, tag or commit instead of HEAD
+  --all                 Follow the function on every branch (fn only)
+  -n, --max <count>     Show at most this many commits
+  --diff                Show each commit's diff of the tracked lines
+  --json                Print the commits as JSON
+  --ignore-whitespace   Leave out whitespace-only changes
+  --ignore-rev <hash>   Leave out a commit (repeatable); the commits in
+                        .git-blame-ignore-revs or blame.ignoreRevsFile are
+                        left out too
+  --no-ignore-revs-file Don't read the ignore-revs file
+  --no-follow           Don't follow the file across renames
+  --git <path>          Git executable to run
+  -h, --help            Show this help
+  --                    Read the remaining arguments as operands, for file
+                        or function names starting with -`;
+
+/**
+ * Raised for a malformed command line; printed with the usage
+ */
+class UsageError extends Error {}
+
+/**
+ * Split the command line into the command, its operands and the options
+ */
+function parseArgs(argv) {
+    const operands = [];
+    const options = { maxCommits: 0, followRenames: true };
+    const value = (index, name) => {
+        if (index >= argv.length) throw new UsageError(`${name} needs a value`);
+        return argv[index];
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--') {
+            // The rest are operands, e.g. a function named like an option
+            operands.push(...argv.slice(i + 1));
+            break;
+        }
+        switch (arg) {
+            case '--rev':
+                options.revision = value(++i, arg);
+                break;
+            case '--all':
+                options.revision = ALL_REVISIONS;
+                break;
+            case '-n':
+            case '--max': {
+                const count = Number(value(++i, arg));
+                if (!Number.isInteger(count) || count < 0) throw new UsageError(`${arg} needs a whole number`);
+                options.maxCommits = count;
+                break;
+            }
+            case '--diff':
+                options.diff = true;
+                break;
+            case '--json':
+                options.json = true;
+                break;
+            case '--ignore-whitespace':
+                options.ignoreWhitespace = true;
+                break;
+            case '--ignore-rev': {
+                const hash = value(++i, arg);
+                if (!/^[0-9a-f]{7,40}$/i.test(hash)) throw new UsageError(`${arg} needs a commit hash of at least 7 digits`);
+                options.ignoreRevisions = (options.ignoreRevisions || []).concat(hash);
+                break;
+            }
+            case '--no-ignore-revs-file':
+                options.ignoreRevsFile = false;
+                break;
+            case '--no-follow':
+                options.followRenames = false;
+                break;
+            case '--git':
+                options.gitPath = value(++i, arg);
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-') && arg !== '-') throw new UsageError(`Unknown option: ${arg}`);
+                operands.push(arg);
+        }
+    }
+
+    return { command: operands[0], operands: operands.slice(1), options };
+}
+
+/**
+ * Parse `<file>:<line>` or `<file>:<start>-<end>` into a path and a
+ * 1-based line range
+ */
+function parseLineTarget(target) {
+    const match = /^(.+):(\d+)(?:-(\d+))?$/.exec(target || '');
+    if (!match) throw new UsageError('Expected <file>:<line> or <file>:<start>-<end>');
+
+    const start = Number(match[2]);
+    const end = match[3] ? Number(match[3]) : start;
+    if (start < 1 || end < start) throw new UsageError(`Invalid line range: ${match[2]}${match[3] ? `-${match[3]}` : ''}`);
+    return { filePath: path.resolve(match[1]), range: [start, end] };
+}
+
+/**
+ * Run a command and resolve to the commits it found
+ */
+function runCommand(command, operands, options) {
+    switch (command) {
+        case 'line': {
+            if (operands.length !== 1) throw new UsageError('line takes one <file>:<line> argument');
+            if (options.revision === ALL_REVISIONS) throw new UsageError('--all only applies to fn');
+            const { filePath, range } = parseLineTarget(operands[0]);
+            return getWorkingTreeHistory(filePath, [range], options);
+        }
+        case 'fn': {
+            if (operands.length !== 2) throw new UsageError('fn takes a <file> and a function <name>');
+            const [file, name] = operands;
+            const filePath = path.resolve(file);
+            // Match the declaration in languages git has a template for, like the editor does
+            const language = languageForFile(filePath);
+            const funcname = (language && funcnameForLanguage(language, name)) || escapeFuncname(name);
+            return getFunctionHistory(filePath, name, { ...options, funcname });
+        }
+        default:
+            throw new UsageError(command ? `Unknown command: ${command}` : 'Missing command');
+    }
+}
+
+/**
+ * One commit as a line of text, like `git log --oneline` with the date and
+ * author, followed by its diff when asked for
+ */
+function formatCommit(commit, options) {
+    const hash = commit.uncommitted ? (commit.uncommitted === 'staged' ? 'staged ' : 'working') : commit.hash.substring(0, 7);
+    const line = `${hash}  ${formatDate(commit.author.date, 'absolute')}  ${commit.author.name}  ${commit.subject}`;
+    return options.diff && commit.diff ? `${line}\n${commit.diff}\n` : line;
+}
+
+async function main(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs(argv);
+    } catch (error) {
+        process.stderr.write(`code-history: ${error.message}\n${USAGE}\n`);
+        return 2;
+    }
+
+    const { command, operands, options } = parsed;
+    if (options.help) {
+        process.stdout.write(`${USAGE}\n`);
+        return 0;
+    }
+    if (options.gitPath) setGitPath(options.gitPath);
+
+    try {
+        const commits = await runCommand(command, operands, options);
+        const output = options.json
+            ? JSON.stringify(commits, null, 2)
+            : commits.map(commit => formatCommit(commit, options)).join('\n');
+        if (output) process.stdout.write(`${output}\n`);
+        return 0;
+    } catch (error) {
+        if (error instanceof UsageError) {
+            process.stderr.write(`code-history: ${error.message}\n${USAGE}\n`);
+            return 2;
+        }
+        process.stderr.write(`code-history: ${error.message}\n`);
+        return 1;
+    }
+}
+
+main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+});
@@ -1,607 +1,1169 @@
 const vscode = require('vscode');
-const { execSync } = require('child_process');
 const path = require('path');
+const {
+    runGit,
+    setGitPath,
+    showFileAtRevision,
+    GitCancelledError,
+    validateFunctionName,
+    escapeFuncname,
+    isFuncnameMismatch,
+    ALL_REVISIONS
+} = require('./src/git');
+const { HistoryCache } = require('./src/cache');
+const { parseBlamePorcelain } = require('./src/blame');
+const { buildAnalytics, summarizeOwnership } = require('./src/analytics');
+const { describeRepository } = require('./src/repositories');
+const {
+    repositories,
+    getRelativePath,
+    mergeLineRanges,
+    resolveRevision,
+    getIgnoreRevsFiles,
+    mapWorkingRangeToHead,
+    getWorkingTreeHistory,
+    getFunctionHistory,
+    searchCodeHistory,
+    getFileHistory,
+    getChangedFiles,
+    getOriginHistory,
+    getMovedCodeOrigins,
+    getFunctionAtRevision,
+    getBaseBranch,
+    getContainingRefs,
+    getCommitsNotIn,
+    escapeExtendedRegex
+} = require('./src/history');
+const { funcnameForLanguage, languageForFile, matchFunctionAtLine } = require('./src/functions');
+const { parseRemoteUrl, buildLinks } = require('./src/autolinks');
+const { formatLineRanges, formatRevision, formatLineHover } = require('./src/render');
+const { EXPORT_FORMATS, formatReport } = require('./src/export');
+const { PANEL_VIEW_TYPE, SIDEBAR_VIEW_ID, HistoryView } = require('./src/historyView');
+const { CurrentLineBlame, FunctionHistoryCodeLensProvider } = require('./src/annotations');
+const { FileHistoryTreeProvider } = require('./src/fileHistoryTree');
 
 /**
- * Execute git command and return output
+ * URI scheme for read-only file contents at a revision
  */
-function executeGit(cwd, args) {
-    try {
-        const cmd = `git ${args}`;
-        const output = execSync(cmd, { cwd, encoding: 'utf8', maxBuffer: 10 * 1024 * 1024 });
-        return output;
-    } catch (error) {
-        throw new Error(`Git command failed: ${error.message}`);
+const REVISION_SCHEME = 'code-history';
+
+/**
+ * Build a URI for a file at a revision. An empty `ref` stands for "no
+ * such file", e.g. the parent side of a commit that added the file. With a
+ * function's `location` (its lines or a funcname), the document is just
+ * that function (see getFunctionAtRevision).
+ */
+function toRevisionUri(gitRoot, ref, relativePath, location) {
+    return vscode.Uri.from({
+        scheme: REVISION_SCHEME,
+        path: `/${relativePath}`,
+        query: JSON.stringify({ gitRoot, ref, path: relativePath, location })
+    });
+}
+
+/**
+ * Serves `code-history:` documents with `git show <ref>:<path>`
+ */
+const revisionContentProvider = {
+    async provideTextDocumentContent(uri, token) {
+        const { gitRoot, ref, path: relativePath, location } = JSON.parse(uri.query);
+        if (!ref) return '';
+        try {
+            return location
+                ? await getFunctionAtRevision(gitRoot, ref, relativePath, location, { token })
+                : await showFileAtRevision(gitRoot, ref, relativePath, { token });
+        } catch (error) {
+            return '';
+        }
+    }
+};
+
+/**
+ * Open a diff of a function between two revisions of its history, each
+ * `{ hash, path, lines }` with the file's path and the function's 1-based
+ * lines at that revision (see functionVersion). Without `lines` the
+ * function is located afresh by name. Where it doesn't exist (before it
+ * was added) that side of the diff is empty.
+ */
+async function openFunctionDiff(gitRoot, source, older, newer, options = {}) {
+    if (source.type !== 'function') {
+        throw new Error('Versions can only be compared in a function history');
     }
+    
+    const funcname = source.funcname || escapeFuncname(source.functionName);
+    const locate = version => version.lines || funcname;
+    
+    // Fail with git's answer here rather than with an empty diff side
+    await getFunctionAtRevision(gitRoot, newer.hash, newer.path, locate(newer));
+    const olderExists = !!older && await getFunctionAtRevision(gitRoot, older.hash, older.path, locate(older)).then(() => true, error => {
+        if (error instanceof GitCancelledError) throw error;
+        return false;
+    });
+    
+    await vscode.commands.executeCommand(
+        'vscode.diff',
+        toRevisionUri(gitRoot, olderExists ? older.hash : '', olderExists ? older.path : newer.path, olderExists ? locate(older) : undefined),
+        toRevisionUri(gitRoot, newer.hash, newer.path, locate(newer)),
+        `${source.functionName} (${olderExists ? older.hash.substring(0, 7) : 'none'} ↔ ${newer.hash.substring(0, 7)})`,
+        { preview: !!options.preview }
+    );
 }
 
 /**
- * Get git repository root for a file
+ * A function as a commit of its history left it: the new side of the
+ * commit's `-L` hunk gives its lines, so it is found even where a name
+ * lookup would miss it (indented methods) or pick another function of the
+ * same name. Commits without a hunk (merges) leave it to the name.
  */
-function getGitRoot(filePath) {
-    try {
-        const dir = path.dirname(filePath);
-        const output = execSync('git rev-parse --show-toplevel', { 
-            cwd: dir, 
-            encoding: 'utf8' 
-        });
-        return output.trim();
-    } catch (error) {
-        return null;
+function functionVersion(commit, relativePath) {
+    const hunk = commit.hunks[0];
+    return {
+        hash: commit.hash,
+        path: relativePath,
+        lines: hunk && hunk.newLines > 0 ? [hunk.newStart, hunk.newStart + hunk.newLines - 1] : undefined
+    };
+}
+
+/**
+ * Paths a commit can act on: its -L path, or the files it touched
+ */
+function commitPaths(commit) {
+    if (commit.path) {
+        const hunk = commit.hunks[0];
+        return [{ path: commit.path, oldPath: hunk ? hunk.oldPath : commit.path }];
     }
+    return (commit.files || []).map(fileTarget);
+}
+
+/**
+ * The `{ path, oldPath }` a commit's changed file (see parseNameStatus) is
+ * diffed between
+ */
+function fileTarget(file) {
+    return {
+        path: file.status === 'D' ? null : file.path,
+        oldPath: file.status === 'A' ? null : (file.oldPath || file.path)
+    };
+}
+
+/**
+ * Ask which file to act on when a commit touched several
+ */
+async function pickCommitPath(commit, fallbackPath) {
+    const paths = commitPaths(commit);
+    if (paths.length === 0) return { path: fallbackPath, oldPath: fallbackPath };
+    if (paths.length === 1) return paths[0];
+    
+    const picked = await vscode.window.showQuickPick(
+        paths.map(entry => ({ label: entry.path || entry.oldPath, entry })),
+        { placeHolder: 'Select a file' }
+    );
+    return picked ? picked.entry : null;
 }
 
 /**
- * Get relative path from git root
+ * Open what a commit changed in one file, `target` being `{ path, oldPath }`
+ * with a null `path` for a deleted file and a null `oldPath` for an added one
  */
-function getRelativePath(filePath, gitRoot) {
-    return path.relative(gitRoot, filePath);
+async function openCommitDiff(gitRoot, commit, target) {
+    const parent = commit.parents[0] || '';
+    const parentUri = toRevisionUri(gitRoot, target.oldPath ? parent : '', target.oldPath || target.path);
+    const revisionUri = toRevisionUri(gitRoot, target.path ? commit.hash : '', target.path || target.oldPath);
+    await vscode.commands.executeCommand(
+        'vscode.diff',
+        parentUri,
+        revisionUri,
+        `${path.basename(target.path || target.oldPath)} (${parent ? parent.substring(0, 7) : 'empty'} ↔ ${commit.hash.substring(0, 7)})`
+    );
 }
 
 /**
- * Parse git log output into structured commits
+ * Handle an action posted from a commit card. `source` is the query the
+ * commits came from: `source.filePath` is the file the history was queried
+ * for, `source.gitRoot` can be given when that file is not on disk.
  */
-function parseGitLog(output) {
-    const commits = [];
-    const commitBlocks = output.split('\n\ncommit ').filter(b => b.trim());
+async function handleCommitAction(message, commits, source) {
+    const commit = commits.find(candidate => candidate.hash === message.hash);
+    if (!commit) return;
+    
+    const shortHash = commit.hash.substring(0, 7);
     
-    for (let block of commitBlocks) {
-        if (!block.startsWith('commit ')) {
-            block = 'commit ' + block;
+    switch (message.command) {
+        case 'copyHash':
+            await vscode.env.clipboard.writeText(commit.hash);
+            vscode.window.setStatusBarMessage(`Copied ${shortHash}`, 2000);
+            return;
+        case 'copyMessage':
+            await vscode.env.clipboard.writeText(commit.body ? `${commit.subject}\n\n${commit.body}` : commit.subject);
+            vscode.window.setStatusBarMessage(`Copied message of ${shortHash}`, 2000);
+            return;
+    }
+    
+    const gitRoot = source.gitRoot || await repositories.getRoot(source.filePath);
+    if (!gitRoot) {
+        vscode.window.showErrorMessage('Not a git repository');
+        return;
+    }
+    
+    const commitPath = commit.path || getRelativePath(source.filePath, gitRoot);
+    switch (message.command) {
+        case 'compareFunction': {
+            const older = commits.find(candidate => candidate.hash === message.value);
+            if (!older) return;
+            await openFunctionDiff(gitRoot, source, functionVersion(older, older.path || commitPath), functionVersion(commit, commitPath));
+            return;
         }
-        
-        const lines = block.split('\n');
-        const commit = {
-            hash: '',
-            author: '',
-            date: '',
-            message: '',
-            branch: '',
-            diff: ''
-        };
-        
-        let inDiff = false;
-        let diffLines = [];
-        
-        for (let line of lines) {
-            if (line.startsWith('commit ')) {
-                commit.hash = line.replace('commit ', '').trim();
-            } else if (line.startsWith('Author: ')) {
-                commit.author = line.replace('Author: ', '').trim();
-            } else if (line.startsWith('Date: ')) {
-                commit.date = line.replace('Date: ', '').trim();
-            } else if (line.startsWith('Branches: ')) {
-                commit.branch = line.replace('Branches: ', '').trim();
-            } else if (line.startsWith('diff --git') || line.startsWith('---') || line.startsWith('+++')) {
-                inDiff = true;
-            } else if (inDiff) {
-                diffLines.push(line);
-            } else if (line.trim() && !line.startsWith(' ')) {
-                // Likely part of commit message
-                if (commit.message) {
-                    commit.message += ' ' + line.trim();
-                } else {
-                    commit.message = line.trim();
+        case 'showFunctionVersion': {
+            // Each step of the time slider shows what that commit changed
+            const hunk = commit.hunks[0];
+            const parent = commit.parents[0] && !(hunk && hunk.oldLines === 0)
+                ? {
+                    hash: commit.parents[0],
+                    path: (hunk && hunk.oldPath) || commitPath,
+                    lines: hunk ? [hunk.oldStart, hunk.oldStart + hunk.oldLines - 1] : undefined
                 }
-            } else if (line.trim().startsWith('•') || line.trim().match(/^\s+\w/)) {
-                // Continuation of message
-                commit.message += ' ' + line.trim();
-            }
+                : null;
+            await openFunctionDiff(gitRoot, source, parent, functionVersion(commit, commitPath), { preview: true });
+            return;
         }
-        
-        commit.diff = diffLines.join('\n');
-        commits.push(commit);
     }
     
-    return commits;
+    const currentPath = getRelativePath(source.filePath, gitRoot);
+    const target = await pickCommitPath(commit, currentPath);
+    if (!target) return;
+    
+    const revisionUri = toRevisionUri(gitRoot, target.path ? commit.hash : '', target.path || target.oldPath);
+    const fileName = path.basename(target.path || target.oldPath);
+    
+    switch (message.command) {
+        case 'openDiff':
+            await openCommitDiff(gitRoot, commit, target);
+            return;
+        case 'openDiffWithWorkingTree': {
+            // Line, function and file histories follow the queried file
+            // across renames; any other file a commit touched (e.g. in a
+            // repository-wide search) is compared with its own working copy
+            const workingFile = commit.path || source.type === 'file'
+                ? source.filePath
+                : path.join(gitRoot, target.path || target.oldPath);
+            await vscode.commands.executeCommand(
+                'vscode.diff',
+                revisionUri,
+                vscode.Uri.file(workingFile),
+                `${fileName} (${shortHash} ↔ Working Tree)`
+            );
+            return;
+        }
+        case 'openAtRevision':
+            await vscode.window.showTextDocument(revisionUri, { preview: true, viewColumn: vscode.ViewColumn.One });
+            return;
+    }
 }
 
 /**
- * Get history for a specific line range
+ * Symbol kinds that can be tracked as a "function"
  */
-function getLineHistory(filePath, startLine, endLine) {
-    const gitRoot = getGitRoot(filePath);
-    if (!gitRoot) {
-        throw new Error('Not a git repository');
+const FUNCTION_SYMBOL_KINDS = new Set([
+    vscode.SymbolKind.Function,
+    vscode.SymbolKind.Method,
+    vscode.SymbolKind.Constructor,
+    vscode.SymbolKind.Class,
+    vscode.SymbolKind.Struct,
+    vscode.SymbolKind.Interface,
+    vscode.SymbolKind.Enum
+]);
+
+/**
+ * Kinds that only count when they span several lines, which covers
+ * `let handler = () => { ... }` and object-literal methods
+ */
+const MULTILINE_SYMBOL_KINDS = new Set([
+    vscode.SymbolKind.Variable,
+    vscode.SymbolKind.Constant,
+    vscode.SymbolKind.Property,
+    vscode.SymbolKind.Field
+]);
+
+/**
+ * Collect the function-like symbols enclosing a position, innermost first
+ */
+function findEnclosingSymbols(symbols, position) {
+    const found = [];
+    
+    const visit = list => {
+        for (const symbol of list) {
+            if (!symbolRange(symbol).contains(position)) continue;
+            if (isTrackableSymbol(symbol)) found.unshift(symbol);
+            if (symbol.children) visit(symbol.children);
+        }
+    };
+    
+    visit(symbols);
+    
+    // SymbolInformation results are flat; order them by size instead
+    if (symbols.length && !symbols[0].children) {
+        found.sort((a, b) => {
+            const ra = symbolRange(a);
+            const rb = symbolRange(b);
+            return (ra.end.line - ra.start.line) - (rb.end.line - rb.start.line);
+        });
     }
     
-    const relativePath = getRelativePath(filePath, gitRoot);
+    return found;
+}
+
+/**
+ * Collect every function-like symbol of a document, outermost first
+ */
+function collectFunctionSymbols(symbols) {
+    const found = [];
     
-    // Use git log -L to track line history
-    const args = `log --pretty=format:"commit %H%nAuthor: %an <%ae>%nDate: %ad%nBranches: %D%n%n%s%n" --date=relative -L ${startLine},${endLine}:"${relativePath}"`;
+    const visit = list => {
+        for (const symbol of list) {
+            if (isTrackableSymbol(symbol)) found.push(symbol);
+            if (symbol.children) visit(symbol.children);
+        }
+    };
     
+    visit(symbols);
+    return found;
+}
+
+/**
+ * Whether a symbol can be tracked as a "function"
+ */
+function isTrackableSymbol(symbol) {
+    return FUNCTION_SYMBOL_KINDS.has(symbol.kind) ||
+        (MULTILINE_SYMBOL_KINDS.has(symbol.kind) && !symbolRange(symbol).isSingleLine);
+}
+
+/**
+ * Range of a DocumentSymbol or SymbolInformation
+ */
+function symbolRange(symbol) {
+    return symbol.range || symbol.location.range;
+}
+
+/**
+ * Function history target for a symbol, with an exact 1-based line range
+ */
+function symbolToFunctionTarget(symbol) {
+    const range = symbolRange(symbol);
+    return {
+        name: symbol.name,
+        kind: vscode.SymbolKind[symbol.kind],
+        range: [range.start.line + 1, range.end.line + 1] // Git uses 1-based line numbers
+    };
+}
+
+/**
+ * Ask the language's symbol provider for a document's symbols
+ */
+async function getDocumentSymbols(document) {
     try {
-        const output = executeGit(gitRoot, args);
-        return parseGitLog(output);
+        const symbols = await vscode.commands.executeCommand(
+            'vscode.executeDocumentSymbolProvider',
+            document.uri
+        );
+        return symbols || [];
     } catch (error) {
-        // Try with just the current line if range fails
-        if (startLine !== endLine) {
-            const singleLineArgs = `log --pretty=format:"commit %H%nAuthor: %an <%ae>%nDate: %ad%nBranches: %D%n%n%s%n" --date=relative -L ${startLine},${startLine}:"${relativePath}"`;
-            const output = executeGit(gitRoot, singleLineArgs);
-            return parseGitLog(output);
+        return [];
+    }
+}
+
+/**
+ * Find the functions to offer for the cursor position.
+ *
+ * Uses the language's document symbol provider, falling back to the
+ * declaration regexes on the current line. Each candidate carries an exact
+ * 1-based line `range`.
+ */
+async function getFunctionCandidates(document, position) {
+    const symbols = await getDocumentSymbols(document);
+    
+    if (symbols.length) {
+        const enclosing = findEnclosingSymbols(symbols, position);
+        if (enclosing.length) {
+            return enclosing.map(symbolToFunctionTarget);
         }
-        throw error;
     }
+    
+    const match = matchFunctionAtLine(document.getText().split(/\r?\n/), position.line);
+    return match ? [match] : [];
+}
+
+/**
+ * Pick one function candidate, asking the user when symbols are nested
+ */
+async function pickFunctionCandidate(candidates) {
+    if (candidates.length <= 1) return candidates[0];
+    
+    const picked = await vscode.window.showQuickPick(
+        candidates.map(candidate => ({
+            label: candidate.name,
+            description: candidate.kind,
+            detail: `Lines ${candidate.range[0]}-${candidate.range[1]}`,
+            candidate
+        })),
+        { placeHolder: 'Select the symbol to track' }
+    );
+    
+    return picked ? picked.candidate : null;
+}
+
+/**
+ * Convert an editor selection to a 1-based inclusive line range. A selection
+ * ending at the start of a line does not include that line.
+ */
+function selectionToLineRange(selection) {
+    let endLine = selection.end.line;
+    if (endLine > selection.start.line && selection.end.character === 0) {
+        endLine--;
+    }
+    return [selection.start.line + 1, endLine + 1]; // Git uses 1-based line numbers
 }
 
 /**
- * Get history for a function by name
+ * History options that come from the extension settings. `scope` (a
+ * document or URI) picks up folder and language-specific values.
  */
-function getFunctionHistory(filePath, functionName) {
-    const gitRoot = getGitRoot(filePath);
+function getHistorySettings(scope) {
+    const config = vscode.workspace.getConfiguration('codeHistoryTracker', scope);
+    return {
+        followRenames: config.get('followRenames', true),
+        detectMoves: config.get('detectMovedCode', false),
+        maxCommits: Math.max(0, Math.floor(config.get('maxCommits', 0)) || 0),
+        ignoreWhitespace: config.get('ignoreWhitespace', false),
+        ignoreRevisions: config.get('ignoreRevisions', []),
+        ignoreRevsFile: config.get('ignoreRevsFile', true)
+    };
+}
+
+/**
+ * History settings for running a query, with `options` on top. A query
+ * with `showIgnored` set leaves no commit out.
+ */
+function getQuerySettings(query, options = {}) {
+    const settings = { ...getHistorySettings(configurationScopeFor(query.filePath)), ...options };
+    return query.showIgnored
+        ? { ...settings, ignoreWhitespace: false, ignoreRevisions: [], ignoreRevsFile: false }
+        : settings;
+}
+
+/**
+ * Configuration scope for a file: its open document when there is one, so
+ * language-specific settings apply, otherwise its URI
+ */
+function configurationScopeFor(filePath) {
+    if (!filePath) return undefined;
+    return vscode.workspace.textDocuments.find(document => document.fileName === filePath) ||
+        vscode.Uri.file(filePath);
+}
+
+/**
+ * The text of a file's editor buffer, saved or not, or undefined when it
+ * isn't open (the file on disk is read then)
+ */
+function openDocumentText(filePath) {
+    const document = vscode.workspace.textDocuments.find(document => document.fileName === filePath);
+    return document ? document.getText() : undefined;
+}
+
+/**
+ * Resolve a history view query to commits.
+ *
+ * Queries are plain objects so they can be saved in the webview state:
+ * `lines` (filePath, ranges), `function` (filePath, functionName, range,
+ * funcname), `search` (filePath, snippet, regex, allFiles), `file`
+ * (filePath) and `origin` (gitRoot, origin). All but `origin` can carry
+ * the `revision` the history starts from, and any can set `showIgnored`
+ * to include the commits the settings leave out.
+ */
+function runHistoryQuery(query, options = {}) {
+    const settings = getQuerySettings(query, options);
+    
+    switch (query.type) {
+        case 'lines':
+            return getWorkingTreeHistory(query.filePath, query.ranges, {
+                ...settings,
+                revision: query.revision,
+                text: openDocumentText(query.filePath)
+            });
+        case 'function':
+            return getFunctionHistory(query.filePath, query.functionName, {
+                ...settings,
+                revision: query.revision,
+                range: query.range,
+                funcname: query.funcname,
+                text: openDocumentText(query.filePath)
+            });
+        case 'search':
+            return searchCodeHistory(query.filePath, query.snippet, {
+                ...settings,
+                revision: query.revision,
+                regex: query.regex,
+                allFiles: query.allFiles
+            });
+        case 'file':
+            return getFileHistory(query.filePath, { ...settings, revision: query.revision });
+        case 'origin':
+            return getOriginHistory(query.gitRoot, query.origin, settings);
+        default:
+            return Promise.reject(new Error(`Unknown history query: ${query.type}`));
+    }
+}
+
+/**
+ * Blame the code a history query tracks and summarize who wrote how much
+ * of it. Returns null for searches, which don't track a fixed range, and
+ * for functions none of which is committed yet.
+ */
+async function getQueryOwnership(query, options = {}) {
+    let gitRoot = query.gitRoot;
+    let relativePath;
+    let revision = query.revision || 'HEAD';
+    let ranges;
+    
+    // Ownership of all branches at once isn't a thing blame can tell
+    if (query.revision === ALL_REVISIONS) {
+        return null;
+    }
+    
+    switch (query.type) {
+        case 'lines': {
+            // The ranges are numbered as in the editor; blame numbers HEAD
+            if (query.revision) return null;
+            const text = openDocumentText(query.filePath);
+            const mapped = await Promise.all(query.ranges.map(range => mapWorkingRangeToHead(query.filePath, range, { ...options, text })));
+            ranges = mapped.filter(Boolean).map(([start, end]) => `${start},${end}`);
+            if (!ranges.length) return null;
+            break;
+        }
+        case 'function': {
+            // The range is numbered as in the editor; blame numbers HEAD
+            const range = query.range && !query.revision
+                ? await mapWorkingRangeToHead(query.filePath, query.range, { ...options, text: openDocumentText(query.filePath) })
+                : null;
+            if (query.range && !query.revision && !range) return null;
+            ranges = [range ? `${range[0]},${range[1]}` : `:${query.funcname || escapeFuncname(query.functionName)}`];
+            break;
+        }
+        case 'file':
+            // Blame the whole file
+            ranges = [];
+            break;
+        case 'origin':
+            relativePath = query.origin.path;
+            revision = query.origin.hash;
+            ranges = [`${query.origin.origStart},${query.origin.origEnd}`];
+            break;
+        default:
+            return null;
+    }
+    
     if (!gitRoot) {
-        throw new Error('Not a git repository');
+        gitRoot = await repositories.getRoot(query.filePath, options);
+        if (!gitRoot) {
+            throw new Error('Not a git repository');
+        }
+    }
+    relativePath = relativePath || getRelativePath(query.filePath, gitRoot);
+    if ((query.type === 'function' || query.type === 'file') && query.revision) {
+        revision = await resolveRevision(gitRoot, query.revision, options);
+    }
+    
+    // Blame passes over the commits of the same ignore-revs files as the
+    // history; hashes from codeHistoryTracker.ignoreRevisions could be
+    // unknown here, which git blame refuses
+    const ignoreRevsFiles = options.ignoreRevsFile === false ? [] : await getIgnoreRevsFiles(gitRoot, options);
+    const blame = blameRanges => runGit(gitRoot, [
+        'blame', '--porcelain', '-M', '--no-ignore-revs-file',
+        ...(options.ignoreWhitespace ? ['-w'] : []),
+        ...ignoreRevsFiles.flatMap(file => ['--ignore-revs-file', file]),
+        ...blameRanges.flatMap(range => ['-L', range]),
+        ...(revision ? [revision] : []), '--', relativePath
+    ], options);
+    
+    let output;
+    try {
+        output = await blame(ranges);
+    } catch (error) {
+        // As for the function's history, the bare name finds declarations
+        // the language's template doesn't know
+        if (query.type !== 'function' || !query.funcname || !ranges[0].startsWith(':') || !isFuncnameMismatch(error)) throw error;
+        output = await blame([`:${escapeFuncname(query.functionName)}`]);
+    }
+    return summarizeOwnership(parseBlamePorcelain(output));
+}
+
+/**
+ * Compute the analytics tab for the commits loaded for a query
+ */
+async function runQueryAnalytics(query, commits, options = {}) {
+    const settings = getQuerySettings(query, options);
+    
+    // Where the tracked range starts today, to number the hot lines
+    let startLine;
+    if (query.type === 'lines' && query.ranges.length === 1) startLine = query.ranges[0][0];
+    if (query.type === 'function' && query.range) startLine = query.range[0];
+    if (query.type === 'origin') startLine = query.origin.origStart;
+    
+    const analytics = buildAnalytics(commits, { startLine });
+    analytics.ownership = await getQueryOwnership(query, settings);
+    return analytics;
+}
+
+/**
+ * The `origin` remote of each repository, parsed by parseRemoteUrl
+ */
+const originRemotes = new Map();
+
+/**
+ * Look up a repository's `origin` remote in its local config (no network
+ * access). Resolves to null without one.
+ */
+function getOriginRemote(gitRoot, options = {}) {
+    if (!originRemotes.has(gitRoot)) {
+        const remote = runGit(gitRoot, ['remote', 'get-url', 'origin'], options)
+            .then(parseRemoteUrl)
+            .catch(error => {
+                // Ask again next time if this lookup was only cancelled
+                if (error instanceof GitCancelledError) originRemotes.delete(gitRoot);
+                return null;
+            });
+        originRemotes.set(gitRoot, remote);
+    }
+    return originRemotes.get(gitRoot);
+}
+
+/**
+ * Autolinks for a query's repository: the `codeHistoryTracker.autolinks`
+ * setting plus the defaults for its `origin` remote's provider
+ */
+async function resolveQueryLinks(query, options = {}) {
+    const config = vscode.workspace.getConfiguration('codeHistoryTracker', configurationScopeFor(query.filePath));
+    const gitRoot = query.gitRoot || (query.filePath && await repositories.getRoot(query.filePath, options));
+    const remote = gitRoot ? await getOriginRemote(gitRoot, options) : null;
+    return buildLinks(remote, config.get('autolinks', []));
+}
+
+/**
+ * Which branches and tags contain a query's commits, and whether they
+ * have reached the base branch: `{ base, commits: { [hash]: { branches,
+ * tags, inBase } } }`. `inBase` is undefined when there is no base branch.
+ */
+async function resolveQueryContainment(query, commits, options = {}) {
+    const gitRoot = query.gitRoot || await repositories.getRoot(query.filePath, options);
+    if (!gitRoot) return null;
+    
+    const config = vscode.workspace.getConfiguration('codeHistoryTracker', configurationScopeFor(query.filePath));
+    const hashes = Array.from(new Set(commits.filter(commit => !commit.uncommitted).map(commit => commit.hash)));
+    const findUnmerged = async () => {
+        const base = await getBaseBranch(gitRoot, config.get('baseBranch', '').trim(), options);
+        return { base, unmerged: base ? await getCommitsNotIn(gitRoot, hashes, base, options) : null };
+    };
+    const [{ base, unmerged }, containing] = await Promise.all([
+        findUnmerged(),
+        getContainingRefs(gitRoot, hashes, options)
+    ]);
+    
+    for (const [hash, refs] of Object.entries(containing)) {
+        refs.inBase = unmerged ? !unmerged.has(hash) : undefined;
     }
+    return { base, commits: containing };
+}
+
+/**
+ * The repository a query's history comes from, for the view's header:
+ * `{ label, root }`, or null outside of a repository
+ */
+async function resolveQueryRepository(query, options = {}) {
+    const repository = query.gitRoot
+        ? await repositories.findDirectory(query.gitRoot, options)
+        : await repositories.find(query.filePath, options);
+    return repository ? { label: describeRepository(repository), root: repository.root } : null;
+}
+
+/**
+ * Save the commits loaded for a query as a Markdown, JSON or HTML report,
+ * with the query's file, lines, function or snippet and the revision it
+ * was read at
+ */
+async function exportQueryHistory(query, commits, { links, repository, complete }) {
+    const picked = await vscode.window.showQuickPick(
+        Object.entries(EXPORT_FORMATS).map(([format, { name, extension }]) => ({ label: name, description: `.${extension}`, format })),
+        { placeHolder: 'Export history as' }
+    );
+    if (!picked) return;
     
-    const relativePath = getRelativePath(filePath, gitRoot);
+    const gitRoot = query.gitRoot || await repositories.getRoot(query.filePath);
+    const { name, extension } = EXPORT_FORMATS[picked.format];
+    const fileName = `${(query.title || 'code history').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}.${extension}`;
+    const folder = gitRoot || (query.filePath ? path.dirname(query.filePath) : undefined);
+    const target = await vscode.window.showSaveDialog({
+        defaultUri: folder ? vscode.Uri.file(path.join(folder, fileName)) : undefined,
+        filters: { [name]: [extension] }
+    });
+    if (!target) return;
     
-    // Use git log -L to track function history
-    const args = `log --pretty=format:"commit %H%nAuthor: %an <%ae>%nDate: %ad%nBranches: %D%n%n%s%n" --date=relative -L :${functionName}:"${relativePath}"`;
+    let revision;
+    if (query.revision === ALL_REVISIONS) {
+        revision = 'all branches';
+    } else if (gitRoot) {
+        revision = await resolveRevision(gitRoot, query.revision || 'HEAD').catch(() => undefined);
+    }
+    const context = {
+        file: query.filePath && gitRoot ? getRelativePath(query.filePath, gitRoot) : undefined,
+        revision,
+        repository: repository ? repository.label : undefined
+    };
+    const config = vscode.workspace.getConfiguration('codeHistoryTracker', configurationScopeFor(query.filePath));
+    const report = formatReport(picked.format, query, commits, context, {
+        links,
+        complete,
+        dateFormat: config.get('dateFormat', 'relative')
+    });
     
-    const output = executeGit(gitRoot, args);
-    return parseGitLog(output);
+    await vscode.workspace.fs.writeFile(target, Buffer.from(report, 'utf8'));
+    const action = await vscode.window.showInformationMessage(`History exported to ${path.basename(target.fsPath)}`, 'Open');
+    if (action === 'Open') {
+        await vscode.window.showTextDocument(target);
+    }
 }
 
 /**
- * Search for commits that modified specific code snippet
+ * Ask for the revision a query's history starts from: HEAD, every branch
+ * (not for line histories, whose line numbers belong to one version of
+ * the file), a branch or tag, or any revision typed in. Resolves to ''
+ * for HEAD and to undefined when dismissed.
  */
-function searchCodeHistory(filePath, codeSnippet) {
-    const gitRoot = getGitRoot(filePath);
+async function pickQueryRevision(query) {
+    const gitRoot = query.gitRoot || await repositories.getRoot(query.filePath);
     if (!gitRoot) {
         throw new Error('Not a git repository');
     }
     
-    const relativePath = getRelativePath(filePath, gitRoot);
+    const output = await runGit(gitRoot, ['for-each-ref', '--sort=-committerdate', '--format=%(refname)', 'refs/heads', 'refs/remotes', 'refs/tags']);
+    const refs = output.split('\n').filter(ref => ref && !ref.endsWith('/HEAD'));
+    const refItems = (prefix, kind) => refs
+        .filter(ref => ref.startsWith(prefix))
+        .map(ref => ({ label: ref.slice(prefix.length), description: kind, revision: ref.slice(prefix.length) }));
+    const current = query.revision || '';
+    const mark = item => item.revision === current ? { ...item, description: `${item.description} (current)` } : item;
+    
+    const items = [
+        { label: 'HEAD', description: 'checked out version', revision: '' },
+        ...(query.type !== 'lines' ? [{ label: 'All branches', description: 'every local and remote branch', revision: ALL_REVISIONS }] : []),
+        { label: 'Branches', kind: vscode.QuickPickItemKind.Separator },
+        ...refItems('refs/heads/', 'branch'),
+        ...refItems('refs/remotes/', 'remote branch'),
+        { label: 'Tags', kind: vscode.QuickPickItemKind.Separator },
+        ...refItems('refs/tags/', 'tag'),
+        { label: '', kind: vscode.QuickPickItemKind.Separator },
+        { label: 'Enter a revision…', description: 'a commit hash or any revision expression', custom: true }
+    ].map(mark);
     
-    // Use git log -S to find commits that added/removed this code
-    const args = `log -S "${codeSnippet}" --pretty=format:"commit %H%nAuthor: %an <%ae>%nDate: %ad%nBranches: %D%n%n%s%n" --date=relative -- "${relativePath}"`;
+    const picked = await vscode.window.showQuickPick(items, {
+        placeHolder: `Show the history from (now ${formatRevision(query.revision)})`,
+        matchOnDescription: true
+    });
+    if (!picked) return undefined;
+    if (!picked.custom) return picked.revision;
     
-    const output = executeGit(gitRoot, args);
-    return parseGitLog(output);
+    const typed = (await vscode.window.showInputBox({
+        prompt: 'Show the history from this revision',
+        placeHolder: 'v1.2.0, origin/main~3, a1b2c3d',
+        value: current === ALL_REVISIONS ? '' : current
+    }) || '').trim();
+    if (!typed) return undefined;
+    
+    // Check it now rather than showing an empty history
+    await resolveRevision(gitRoot, typed);
+    return typed;
 }
 
 /**
- * Format commits for display in webview
+ * Build a line history query for 1-based line ranges of a file
  */
-function formatCommitsHTML(commits, title) {
-    if (!commits || commits.length === 0) {
-        return `
-            <!DOCTYPE html>
-            <html lang="en">
-            <head>
-                <meta charset="UTF-8">
-                <meta name="viewport" content="width=device-width, initial-scale=1.0">
-                <title>${escapeHTML(title)}</title>
-                <style>
-                    * {
-                        margin: 0;
-                        padding: 0;
-                        box-sizing: border-box;
-                    }
-                    body { 
-                        font-family: var(--vscode-font-family), -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
-                        padding: 24px;
-                        color: var(--vscode-foreground);
-                        background-color: var(--vscode-editor-background);
-                        line-height: 1.6;
-                    }
-                    .header {
-                        margin-bottom: 24px;
-                        padding-bottom: 16px;
-                        border-bottom: 1px solid var(--vscode-panel-border);
-                    }
-                    h1 {
-                        font-size: 20px;
-                        font-weight: 600;
-                        color: var(--vscode-foreground);
-                        margin-bottom: 8px;
-                    }
-                    .no-results {
-                        display: flex;
-                        flex-direction: column;
-                        align-items: center;
-                        justify-content: center;
-                        padding: 60px 20px;
-                        text-align: center;
-                    }
-                    .no-results-icon {
-                        font-size: 48px;
-                        margin-bottom: 16px;
-                        opacity: 0.5;
-                    }
-                    .no-results-text {
-                        color: var(--vscode-descriptionForeground);
-                        font-size: 14px;
-                    }
-                </style>
-            </head>
-            <body>
-                <div class="header">
-                    <h1>${escapeHTML(title)}</h1>
-                </div>
-                <div class="no-results">
-                    <div class="no-results-icon">📝</div>
-                    <p class="no-results-text">No commits found in history.</p>
-                </div>
-            </body>
-            </html>
-        `;
-    }
+function lineQuery(filePath, ranges) {
+    const merged = mergeLineRanges(ranges);
+    const label = merged.length === 1 && merged[0][0] === merged[0][1] ? 'Line' : 'Lines';
     
-    const commitHTML = commits.map((commit, index) => `
-        <div class="commit-card">
-            <div class="commit-header">
-                <div class="commit-header-left">
-                    <span class="commit-number">#${commits.length - index}</span>
-                    <code class="commit-hash">${commit.hash.substring(0, 7)}</code>
-                    ${commit.branch ? `<span class="commit-branch">🌿 ${escapeHTML(commit.branch.split(',')[0].trim())}</span>` : ''}
-                </div>
-                <span class="commit-date">📅 ${escapeHTML(commit.date)}</span>
-            </div>
-            
-            <div class="commit-body">
-                <p class="commit-message">${escapeHTML(commit.message)}</p>
-                
-                <div class="commit-author">
-                    <svg class="author-icon" width="14" height="14" viewBox="0 0 16 16" fill="currentColor">
-                        <path d="M8 8a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm2-3a2 2 0 1 1-4 0 2 2 0 0 1 4 0zm4 8c0 1-1 1-1 1H3s-1 0-1-1 1-4 6-4 6 3 6 4zm-1-.004c-.001-.246-.154-.986-.832-1.664C11.516 10.68 10.289 10 8 10c-2.29 0-3.516.68-4.168 1.332-.678.678-.83 1.418-.832 1.664h10z"/>
-                    </svg>
-                    <span class="author-name">${escapeHTML(commit.author)}</span>
-                </div>
-            </div>
-            
-            ${commit.diff ? `
-                <details class="commit-diff">
-                    <summary class="diff-summary">
-                        <svg class="diff-icon" width="14" height="14" viewBox="0 0 16 16" fill="currentColor">
-                            <path d="M8.186 1.113a.5.5 0 0 0-.372 0L1.846 3.5 8 5.961 14.154 3.5 8.186 1.113zM15 4.239l-6.5 2.6v7.922l6.5-2.6V4.24zM7.5 14.762V6.838L1 4.239v7.923l6.5 2.6zM7.443.184a1.5 1.5 0 0 1 1.114 0l7.129 2.852A.5.5 0 0 1 16 3.5v8.662a1 1 0 0 1-.629.928l-7.185 2.874a.5.5 0 0 1-.372 0L.63 13.09a1 1 0 0 1-.63-.928V3.5a.5.5 0 0 1 .314-.464L7.443.184z"/>
-                        </svg>
-                        <span>View changes</span>
-                        <svg class="chevron" width="12" height="12" viewBox="0 0 16 16" fill="currentColor">
-                            <path fill-rule="evenodd" d="M1.646 4.646a.5.5 0 0 1 .708 0L8 10.293l5.646-5.647a.5.5 0 0 1 .708.708l-6 6a.5.5 0 0 1-.708 0l-6-6a.5.5 0 0 1 0-.708z"/>
-                        </svg>
-                    </summary>
-                    <pre class="diff-content"><code>${escapeHTML(commit.diff)}</code></pre>
-                </details>
-            ` : ''}
-        </div>
-    `).join('');
-    
-    return `
-        <!DOCTYPE html>
-        <html lang="en">
-        <head>
-            <meta charset="UTF-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>${escapeHTML(title)}</title>
-            <style>
-                * {
-                    margin: 0;
-                    padding: 0;
-                    box-sizing: border-box;
-                }
-                
-                body { 
-                    font-family: var(--vscode-font-family), -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
-                    padding: 24px;
-                    color: var(--vscode-foreground);
-                    background-color: var(--vscode-editor-background);
-                    line-height: 1.6;
-                }
-                
-                .header {
-                    margin-bottom: 24px;
-                    padding-bottom: 16px;
-                    border-bottom: 1px solid var(--vscode-panel-border);
-                }
-                
-                h1 {
-                    font-size: 20px;
-                    font-weight: 600;
-                    color: var(--vscode-foreground);
-                    margin-bottom: 8px;
-                }
-                
-                .stats-badge {
-                    display: inline-flex;
-                    align-items: center;
-                    gap: 6px;
-                    background-color: var(--vscode-badge-background);
-                    color: var(--vscode-badge-foreground);
-                    padding: 4px 10px;
-                    border-radius: 12px;
-                    font-size: 12px;
-                    font-weight: 500;
-                }
-                
-                .commit-card {
-                    background-color: var(--vscode-editor-inactiveSelectionBackground);
-                    border: 1px solid var(--vscode-panel-border);
-                    border-left: 3px solid var(--vscode-charts-blue);
-                    border-radius: 6px;
-                    margin-bottom: 16px;
-                    overflow: hidden;
-                    transition: all 0.2s ease;
-                }
-                
-                .commit-card:hover {
-                    border-left-color: var(--vscode-charts-purple);
-                    box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1);
-                }
-                
-                .commit-header {
-                    display: flex;
-                    justify-content: space-between;
-                    align-items: center;
-                    padding: 12px 16px;
-                    background-color: var(--vscode-sideBar-background);
-                    border-bottom: 1px solid var(--vscode-panel-border);
-                }
-                
-                .commit-header-left {
-                    display: flex;
-                    align-items: center;
-                    gap: 10px;
-                    flex-wrap: wrap;
-                }
-                
-                .commit-number {
-                    font-size: 11px;
-                    font-weight: 600;
-                    color: var(--vscode-descriptionForeground);
-                    background-color: var(--vscode-input-background);
-                    padding: 2px 6px;
-                    border-radius: 4px;
-                }
-                
-                .commit-hash {
-                    font-family: 'Consolas', 'Monaco', monospace;
-                    font-size: 12px;
-                    background-color: var(--vscode-textCodeBlock-background);
-                    color: var(--vscode-textLink-foreground);
-                    padding: 3px 8px;
-                    border-radius: 4px;
-                    font-weight: 500;
-                }
-                
-                .commit-branch {
-                    font-size: 11px;
-                    color: var(--vscode-descriptionForeground);
-                    background-color: var(--vscode-input-background);
-                    padding: 2px 8px;
-                    border-radius: 10px;
-                }
-                
-                .commit-date {
-                    font-size: 12px;
-                    color: var(--vscode-descriptionForeground);
-                    display: flex;
-                    align-items: center;
-                    gap: 4px;
-                }
-                
-                .commit-body {
-                    padding: 16px;
-                }
-                
-                .commit-message {
-                    font-size: 14px;
-                    font-weight: 500;
-                    color: var(--vscode-foreground);
-                    margin-bottom: 12px;
-                    line-height: 1.5;
-                }
-                
-                .commit-author {
-                    display: flex;
-                    align-items: center;
-                    gap: 6px;
-                    font-size: 12px;
-                    color: var(--vscode-descriptionForeground);
-                }
-                
-                .author-icon {
-                    opacity: 0.7;
-                }
-                
-                .author-name {
-                    font-weight: 500;
-                }
-                
-                .commit-diff {
-                    margin-top: 12px;
-                    border-top: 1px solid var(--vscode-panel-border);
-                }
-                
-                .diff-summary {
-                    padding: 10px 16px;
-                    cursor: pointer;
-                    display: flex;
-                    align-items: center;
-                    gap: 8px;
-                    font-size: 12px;
-                    color: var(--vscode-textLink-foreground);
-                    background-color: var(--vscode-editor-background);
-                    transition: all 0.2s ease;
-                    user-select: none;
-                }
-                
-                .diff-summary:hover {
-                    background-color: var(--vscode-list-hoverBackground);
-                    color: var(--vscode-textLink-activeForeground);
-                }
-                
-                .diff-icon {
-                    flex-shrink: 0;
-                }
-                
-                .chevron {
-                    margin-left: auto;
-                    transition: transform 0.2s ease;
-                    opacity: 0.7;
-                }
-                
-                details[open] .chevron {
-                    transform: rotate(180deg);
-                }
-                
-                .diff-content {
-                    background-color: var(--vscode-textCodeBlock-background);
-                    padding: 16px;
-                    margin: 0;
-                    overflow-x: auto;
-                    font-family: 'Consolas', 'Monaco', monospace;
-                    font-size: 11px;
-                    line-height: 1.5;
-                    color: var(--vscode-editor-foreground);
-                    border-top: 1px solid var(--vscode-panel-border);
-                }
-                
-                .diff-content code {
-                    font-family: inherit;
-                }
-                
-                /* Scrollbar styling */
-                ::-webkit-scrollbar {
-                    width: 10px;
-                    height: 10px;
-                }
-                
-                ::-webkit-scrollbar-track {
-                    background: var(--vscode-editor-background);
-                }
-                
-                ::-webkit-scrollbar-thumb {
-                    background: var(--vscode-scrollbarSlider-background);
-                    border-radius: 5px;
-                }
-                
-                ::-webkit-scrollbar-thumb:hover {
-                    background: var(--vscode-scrollbarSlider-hoverBackground);
-                }
-                
-                /* Empty state */
-                .empty-state {
-                    text-align: center;
-                    padding: 60px 20px;
-                    color: var(--vscode-descriptionForeground);
-                }
-            </style>
-        </head>
-        <body>
-            <div class="header">
-                <h1>${escapeHTML(title)}</h1>
-                <div class="stats-badge">
-                    <svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor">
-                        <path d="M8 15A7 7 0 1 1 8 1a7 7 0 0 1 0 14zm0 1A8 8 0 1 0 8 0a8 8 0 0 0 0 16z"/>
-                        <path d="M5.255 5.786a.237.237 0 0 0 .241.247h.825c.138 0 .248-.113.266-.25.09-.656.54-1.134 1.342-1.134.686 0 1.314.343 1.314 1.168 0 .635-.374.927-.965 1.371-.673.489-1.206 1.06-1.168 1.987l.003.217a.25.25 0 0 0 .25.246h.811a.25.25 0 0 0 .25-.25v-.105c0-.718.273-.927 1.01-1.486.609-.463 1.244-.977 1.244-2.056 0-1.511-1.276-2.241-2.673-2.241-1.267 0-2.655.59-2.75 2.286zm1.557 5.763c0 .533.425.927 1.01.927.609 0 1.028-.394 1.028-.927 0-.552-.42-.94-1.029-.94-.584 0-1.009.388-1.009.94z"/>
-                    </svg>
-                    <span>Found ${commits.length} commit${commits.length !== 1 ? 's' : ''}</span>
-                </div>
-            </div>
-            
-            <div class="commits-list">
-                ${commitHTML}
-            </div>
-        </body>
-        </html>
-    `;
+    return {
+        type: 'lines',
+        filePath,
+        ranges: merged,
+        title: `History for ${label} ${formatLineRanges(merged)} in ${path.basename(filePath)}`
+    };
 }
 
-function escapeHTML(str) {
-    return str.replace(/[&<>'"]/g, char => ({
-        '&': '&amp;',
-        '<': '&lt;',
-        '>': '&gt;',
-        "'": '&#39;',
-        '"': '&quot;'
-    }[char]));
+/**
+ * Build a line history query for the editor's selections
+ */
+function lineQueryForEditor(editor) {
+    return lineQuery(editor.document.fileName, editor.selections.map(selectionToLineRange));
 }
 
 /**
- * Show commits in a webview panel
+ * Build a function history query for a function of a file, found by name
+ * (with the funcname template of the file's language) or by its 1-based
+ * line `range`
  */
-function showCommitsPanel(context, commits, title) {
-    const panel = vscode.window.createWebviewPanel(
-        'codeHistory',
-        title,
-        vscode.ViewColumn.Beside,
-        {}
-    );
+function functionQuery(filePath, name, range) {
+    const document = vscode.workspace.textDocuments.find(document => document.fileName === filePath);
+    const language = document ? document.languageId : languageForFile(filePath);
     
-    panel.webview.html = formatCommitsHTML(commits, title);
+    return {
+        type: 'function',
+        filePath,
+        functionName: name,
+        range,
+        funcname: range ? undefined : funcnameForLanguage(language, name) || undefined,
+        title: `History for function "${name}" in ${path.basename(filePath)}`
+    };
 }
 
 /**
- * Extract function name at cursor position
+ * Build a query for every commit that changed a file, across renames
  */
-function getFunctionNameAtCursor(document, position) {
-    const line = document.lineAt(position.line);
-    const text = line.text;
+function fileQuery(filePath) {
+    return {
+        type: 'file',
+        filePath,
+        title: `History for ${path.basename(filePath)}`
+    };
+}
+
+/**
+ * The file behind a URI passed to a command or the API
+ */
+function fileForUri(uri) {
+    if (!(uri instanceof vscode.Uri)) {
+        throw new Error('Expected a vscode.Uri');
+    }
+    if (uri.scheme !== 'file') {
+        throw new Error(`Only files on disk have git history, not ${uri.scheme}: documents`);
+    }
+    return uri.fsPath;
+}
+
+/**
+ * 1-based line ranges from a command or API argument: a vscode.Range (or
+ * Selection), an array of them, or a 1-based line number
+ */
+function toLineRanges(range) {
+    return (Array.isArray(range) ? range : [range]).map(item => {
+        if (item instanceof vscode.Range) return selectionToLineRange(item);
+        if (Number.isInteger(item) && item > 0) return [item, item];
+        throw new Error('Expected a vscode.Range or a 1-based line number');
+    });
+}
+
+/**
+ * Run a git-backed task behind a cancellable progress notification
+ */
+function withGitProgress(title, task) {
+    return vscode.window.withProgress(
+        {
+            location: vscode.ProgressLocation.Notification,
+            title,
+            cancellable: true
+        },
+        (progress, token) => task(token)
+    );
+}
+
+/**
+ * Commands the line hover links to; its Markdown may run no others
+ */
+const HOVER_COMMANDS = [
+    'codeHistoryTracker.showLineHistory',
+    'codeHistoryTracker.showFunctionHistory',
+    'codeHistoryTracker.openCommitFile',
+    'codeHistoryTracker.copyCommitHash'
+];
+
+/**
+ * Command links under the line hover: the line's full history, the newest
+ * commit's diff (in `gitRoot`) and hash, and the history of the enclosing
+ * function (`target`, from getFunctionCandidates) when there is one
+ */
+function hoverActions(document, gitRoot, line, commits, target) {
+    const actions = [{ label: 'Open full history', command: 'codeHistoryTracker.showLineHistory', args: [document.uri, line] }];
     
-    // Simple regex patterns for common function declarations
-    const patterns = [
-        /function\s+(\w+)\s*\(/,           // function name()
-        /const\s+(\w+)\s*=\s*(?:async\s*)?\(/,  // const name = () or async
-        /(\w+)\s*:\s*(?:async\s*)?function/,    // name: function
-        /(?:public|private|protected)?\s*(\w+)\s*\([^)]*\)\s*{/, // method name()
-        /def\s+(\w+)\s*\(/,                // Python def name()
-        /fn\s+(\w+)\s*\(/,                 // Rust fn name()
-    ];
+    const commit = commits.find(candidate => !candidate.uncommitted);
+    if (commit) {
+        const shortHash = commit.hash.substring(0, 7);
+        const hunk = commit.hunks[0];
+        // Enough of the commit and of its change to the file for openCommitDiff
+        const file = !hunk || hunk.oldPath === commit.path
+            ? { status: 'M', path: commit.path }
+            : hunk.oldPath ? { status: 'R', oldPath: hunk.oldPath, path: commit.path } : { status: 'A', path: commit.path };
+        actions.push({
+            label: `Open diff of ${shortHash}`,
+            command: 'codeHistoryTracker.openCommitFile',
+            args: [gitRoot, { hash: commit.hash, parents: commit.parents }, file]
+        });
+        actions.push({ label: `Copy ${shortHash}`, command: 'codeHistoryTracker.copyCommitHash', args: [{ commit: { hash: commit.hash } }] });
+    }
     
-    for (const pattern of patterns) {
-        const match = text.match(pattern);
-        if (match) {
-            return match[1];
-        }
+    if (target) {
+        actions.push({
+            label: `Show function history of ${target.name}`,
+            command: 'codeHistoryTracker.showFunctionHistory',
+            args: [document.uri, { name: target.name, range: target.range }]
+        });
     }
     
-    return null;
+    return actions;
+}
+
+/**
+ * Create the history cache, invalidated by watchers on each repository's
+ * HEAD and refs. `onRepoChange` is called with the repository's root
+ * whenever they change.
+ */
+function createHistoryCache(context, onRepoChange) {
+    const watchers = [];
+    
+    const cache = new HistoryCache({
+        storagePath: path.join(context.globalStorageUri.fsPath, 'history-cache'),
+        onRepo: gitRoot => {
+            // Worktrees and submodules keep their git directory elsewhere,
+            // and a linked worktree shares its refs with the main one
+            const repository = repositories.get(gitRoot);
+            const patterns = repository
+                ? [new vscode.RelativePattern(repository.gitDir, 'HEAD'), new vscode.RelativePattern(repository.commonDir, '{packed-refs,refs/**}')]
+                : [new vscode.RelativePattern(gitRoot, '.git/{HEAD,packed-refs,refs/**}')];
+            const invalidate = () => {
+                cache.invalidateRepo(gitRoot);
+                onRepoChange(gitRoot);
+            };
+            for (const pattern of patterns) {
+                const watcher = vscode.workspace.createFileSystemWatcher(pattern);
+                watcher.onDidChange(invalidate);
+                watcher.onDidCreate(invalidate);
+                watcher.onDidDelete(invalidate);
+                watchers.push(watcher);
+            }
+        }
+    });
+    
+    cache.prune();
+    context.subscriptions.push({
+        dispose: () => watchers.forEach(watcher => watcher.dispose())
+    });
+    
+    return cache;
 }
 
 function activate(context) {
-    console.log('Code History Tracker extension activated');
+    const repoChanged = new vscode.EventEmitter();
+    const historyCache = createHistoryCache(context, gitRoot => repoChanged.fire(gitRoot));
+    
+    // Only one hover lookup runs at a time; a newer hover or a cursor move
+    // kills the git process of the previous one
+    let pendingHover = null;
+    
+    const cancelPendingHover = () => {
+        if (pendingHover) {
+            pendingHover.cancel();
+            pendingHover.dispose();
+            pendingHover = null;
+        }
+    };
     
     // Register hover provider for inline history preview
     const hoverProvider = vscode.languages.registerHoverProvider(
         { scheme: 'file' },
         {
-            async provideHover(document, position) {
+            async provideHover(document, position, token) {
+                cancelPendingHover();
+                
+                const config = vscode.workspace.getConfiguration('codeHistoryTracker', document);
+                if (!config.get('hover.enabled', true)) return;
+                
+                const source = new vscode.CancellationTokenSource();
+                const tokenListener = token.onCancellationRequested(() => source.cancel());
+                pendingHover = source;
+                
                 try {
-                    const gitRoot = getGitRoot(document.fileName);
-                    if (!gitRoot) return;
-                    
                     const line = position.line + 1; // Git uses 1-based line numbers
-                    const commits = getLineHistory(document.fileName, line, line);
+                    const commits = await getWorkingTreeHistory(document.fileName, [[line, line]], {
+                        ...getHistorySettings(document),
+                        detectMoves: false,
+                        text: document.getText(),
+                        token: source.token,
+                        cache: historyCache
+                    });
                     
                     if (commits.length === 0) return;
                     
-                    const latestCommit = commits[0];
-                    const totalCommits = commits.length;
+                    const [gitRoot, links, functions] = await Promise.all([
+                        repositories.getRoot(document.fileName, { token: source.token }),
+                        resolveQueryLinks({ filePath: document.fileName }, { token: source.token }),
+                        getFunctionCandidates(document, position)
+                    ]);
+                    if (source.token.isCancellationRequested) return;
                     
-                    const markdown = new vscode.MarkdownString();
-                    markdown.appendMarkdown(`### 📝 Line History\n\n`);
-                    markdown.appendMarkdown(`**Last modified:** ${latestCommit.date}\n\n`);
-                    markdown.appendMarkdown(`**Commit:** \`${latestCommit.hash.substring(0, 8)}\`\n\n`);
-                    markdown.appendMarkdown(`**Author:** ${latestCommit.author}\n\n`);
-                    markdown.appendMarkdown(`**Message:** ${latestCommit.message}\n\n`);
-                    markdown.appendMarkdown(`---\n\n`);
-                    markdown.appendMarkdown(`*Total commits affecting this line: ${totalCommits}*\n\n`);
-                    markdown.appendMarkdown(`Right-click for full history`);
+                    const markdown = new vscode.MarkdownString(formatLineHover(commits, {
+                        links,
+                        dateFormat: config.get('dateFormat'),
+                        maxCommits: config.get('hover.commitCount', 5),
+                        actions: hoverActions(document, gitRoot, line, commits, functions[0])
+                    }));
+                    markdown.supportHtml = true;
+                    markdown.isTrusted = { enabledCommands: HOVER_COMMANDS };
                     
                     return new vscode.Hover(markdown);
                 } catch (error) {
                     // Silently fail for hover - don't spam errors
                     return;
+                } finally {
+                    tokenListener.dispose();
+                    if (pendingHover === source) {
+                        pendingHover = null;
+                        source.dispose();
+                    }
                 }
             }
         }
     );
     
-    // Command: Show Line History
+    const historyView = new HistoryView(context, {
+        runQuery: (query, options) => runHistoryQuery(query, { ...options, cache: historyCache }),
+        runAnalytics: runQueryAnalytics,
+        resolveLinks: resolveQueryLinks,
+        resolveRepository: resolveQueryRepository,
+        onCommitAction: handleCommitAction,
+        resolveContainment: resolveQueryContainment,
+        onExport: exportQueryHistory,
+        pickRevision: pickQueryRevision,
+        followQuery: lineQueryForEditor
+    });
+    
+    const selectionListener = vscode.window.onDidChangeTextEditorSelection(event => {
+        cancelPendingHover();
+        historyView.onSelectionChanged(event.textEditor);
+    });
+    
+    const currentLineBlame = new CurrentLineBlame((document, line, options) =>
+        getWorkingTreeHistory(document.fileName, [[line, line]], {
+            ...getHistorySettings(document),
+            ...options,
+            detectMoves: false,
+            text: document.getText(),
+            cache: historyCache
+        })
+    );
+    
+    const codeLensProvider = new FunctionHistoryCodeLensProvider({
+        functionTargets: async document => collectFunctionSymbols(await getDocumentSymbols(document)).map(symbolToFunctionTarget),
+        functionHistory: (document, target, options) =>
+            getFunctionHistory(document.fileName, target.name, {
+                ...getHistorySettings(document),
+                ...options,
+                range: target.range,
+                text: document.getText(),
+                cache: historyCache
+            })
+    });
+    const codeLensRegistration = vscode.languages.registerCodeLensProvider({ scheme: 'file' }, codeLensProvider);
+    
+    const fileHistoryTree = new FileHistoryTreeProvider({
+        fileHistory: async (filePath, options) => {
+            const gitRoot = await repositories.getRoot(filePath, options);
+            if (!gitRoot) throw new Error('Not a git repository');
+            const commits = await getFileHistory(filePath, {
+                ...getHistorySettings(configurationScopeFor(filePath)),
+                ...options,
+                cache: historyCache
+            });
+            return { gitRoot, commits };
+        },
+        changedFiles: getChangedFiles,
+        onDidChangeRepository: repoChanged.event
+    });
+    
+    // Find the repositories of every workspace folder up front, with their
+    // submodules and worktrees
+    const discoverRepositories = () => {
+        const folders = (vscode.workspace.workspaceFolders || [])
+            .filter(folder => folder.uri.scheme === 'file')
+            .map(folder => folder.uri.fsPath);
+        repositories.discover(folders).catch(error => {
+            console.error('Code History Tracker: repository discovery failed', error);
+        });
+    };
+    const foldersListener = vscode.workspace.onDidChangeWorkspaceFolders(discoverRepositories);
+    
+    // Settings apply as soon as they change
+    setGitPath(vscode.workspace.getConfiguration('codeHistoryTracker').get('gitPath'));
+    discoverRepositories();
+    const configListener = vscode.workspace.onDidChangeConfiguration(event => {
+        const affects = setting => event.affectsConfiguration(`codeHistoryTracker.${setting}`);
+        
+        if (affects('gitPath')) {
+            setGitPath(vscode.workspace.getConfiguration('codeHistoryTracker').get('gitPath'));
+            repositories.clear();
+            discoverRepositories();
+        }
+        if (affects('autolinks')) {
+            originRemotes.clear();
+        }
+        if (['gitPath', 'followRenames', 'detectMovedCode', 'maxCommits', 'ignoreWhitespace', 'ignoreRevisions', 'ignoreRevsFile', 'autolinks'].some(affects)) {
+            historyView.refresh({ silent: true });
+        } else if (['dateFormat', 'includeDiff'].some(affects)) {
+            historyView.render();
+        }
+    });
+    
+    const panelSerializer = vscode.window.registerWebviewPanelSerializer(PANEL_VIEW_TYPE, historyView);
+    const sidebarProvider = vscode.window.registerWebviewViewProvider(SIDEBAR_VIEW_ID, historyView);
+    
+    const revisionProvider = vscode.workspace.registerTextDocumentContentProvider(REVISION_SCHEME, revisionContentProvider);
+    
+    // Command: Show Line History. Other extensions can pass a URI and the
+    // lines (see toLineRanges); menus pass just the URI.
     const lineHistoryCommand = vscode.commands.registerCommand(
         'codeHistoryTracker.showLineHistory',
-        async () => {
+        async (uri, range) => {
+            try {
+                if (uri instanceof vscode.Uri && range !== undefined) {
+                    await historyView.show(lineQuery(fileForUri(uri), toLineRanges(range)));
+                    return;
+                }
+            } catch (error) {
+                vscode.window.showErrorMessage(`Error: ${error.message}`);
+                return;
+            }
+            
+            const editor = vscode.window.activeTextEditor;
+            if (!editor) {
+                vscode.window.showErrorMessage('No active editor');
+                return;
+            }
+            
+            await historyView.show(lineQueryForEditor(editor));
+        }
+    );
+    
+    // Command: Show Function History. The CodeLens passes the function
+    // ({ name, range }) along with the document's URI; other extensions can
+    // pass a URI and a function name.
+    const functionHistoryCommand = vscode.commands.registerCommand(
+        'codeHistoryTracker.showFunctionHistory',
+        async (uri, target) => {
+            const name = typeof target === 'string' ? target : target && target.name;
+            if (uri instanceof vscode.Uri && name) {
+                try {
+                    await historyView.show(functionQuery(fileForUri(uri), name, target.range));
+                } catch (error) {
+                    vscode.window.showErrorMessage(`Error: ${error.message}`);
+                }
+                return;
+            }
+            
             const editor = vscode.window.activeTextEditor;
             if (!editor) {
                 vscode.window.showErrorMessage('No active editor');
@@ -610,23 +1172,42 @@ function activate(context) {
             
             try {
                 const position = editor.selection.active;
-                const line = position.line + 1; // Git uses 1-based line numbers
+                const candidates = await getFunctionCandidates(editor.document, position);
+                let target;
                 
-                vscode.window.showInformationMessage('Searching git history...');
-                
-                const commits = getLineHistory(editor.document.fileName, line, line);
+                if (candidates.length) {
+                    target = await pickFunctionCandidate(candidates);
+                    if (!target) return;
+                } else {
+                    // If we couldn't auto-detect, ask the user
+                    const name = await vscode.window.showInputBox({
+                        prompt: 'Enter function name to track',
+                        placeHolder: 'functionName',
+                        validateInput: validateFunctionName
+                    });
+                    
+                    if (!name) return;
+                    target = { name, funcname: funcnameForLanguage(editor.document.languageId, name) };
+                }
                 
-                const title = `History for Line ${line} in ${path.basename(editor.document.fileName)}`;
-                showCommitsPanel(context, commits, title);
+                await historyView.show({
+                    type: 'function',
+                    filePath: editor.document.fileName,
+                    functionName: target.name,
+                    range: target.range,
+                    funcname: target.funcname,
+                    title: `History for function "${target.name}" in ${path.basename(editor.document.fileName)}`
+                });
             } catch (error) {
+                if (error instanceof GitCancelledError) return;
                 vscode.window.showErrorMessage(`Error: ${error.message}`);
             }
         }
     );
     
-    // Command: Show Function History
-    const functionHistoryCommand = vscode.commands.registerCommand(
-        'codeHistoryTracker.showFunctionHistory',
+    // Command: Search History for Selected Code
+    const searchCodeCommand = vscode.commands.registerCommand(
+        'codeHistoryTracker.searchSelectedCode',
         async () => {
             const editor = vscode.window.activeTextEditor;
             if (!editor) {
@@ -635,32 +1216,255 @@ function activate(context) {
             }
             
             try {
-                const position = editor.selection.active;
-                let functionName = getFunctionNameAtCursor(editor.document, position);
+                const document = editor.document;
+                let snippet = document.getText(editor.selection);
+                if (!snippet.trim()) {
+                    const wordRange = document.getWordRangeAtPosition(editor.selection.active);
+                    snippet = await vscode.window.showInputBox({
+                        prompt: 'Enter code to search for in history',
+                        value: wordRange ? document.getText(wordRange) : ''
+                    });
+                    if (!snippet) return;
+                }
                 
-                // If we couldn't auto-detect, ask the user
-                if (!functionName) {
-                    functionName = await vscode.window.showInputBox({
-                        prompt: 'Enter function name to track',
-                        placeHolder: 'functionName'
+                const mode = await vscode.window.showQuickPick([
+                    { label: 'Exact text', description: 'git log -S', detail: 'Commits that added or removed this text', regex: false },
+                    { label: 'Regular expression', description: 'git log -G', detail: 'Commits whose changed lines match a regex', regex: true }
+                ], { placeHolder: 'How should the code be matched?' });
+                if (!mode) return;
+                
+                if (mode.regex) {
+                    snippet = await vscode.window.showInputBox({
+                        prompt: 'Extended regular expression to search changed lines for',
+                        value: escapeExtendedRegex(snippet)
                     });
-                    
-                    if (!functionName) return;
+                    if (!snippet) return;
+                }
+                
+                const scope = await vscode.window.showQuickPick([
+                    { label: 'Current file', description: path.basename(document.fileName), allFiles: false },
+                    { label: 'Whole repository', allFiles: true }
+                ], { placeHolder: 'Where should history be searched?' });
+                if (!scope) return;
+                
+                const shown = snippet.length > 40 ? `${snippet.slice(0, 40)}…` : snippet;
+                const where = scope.allFiles ? 'the repository' : path.basename(document.fileName);
+                await historyView.show({
+                    type: 'search',
+                    filePath: document.fileName,
+                    snippet,
+                    regex: mode.regex,
+                    allFiles: scope.allFiles,
+                    title: `History for "${shown.replace(/\s+/g, ' ')}" in ${where}`
+                });
+            } catch (error) {
+                if (error instanceof GitCancelledError) return;
+                vscode.window.showErrorMessage(`Error: ${error.message}`);
+            }
+        }
+    );
+    
+    // Command: Show File History, from the explorer and editor tab menus
+    // (which pass the file's URI) or for the active editor
+    const fileHistoryCommand = vscode.commands.registerCommand(
+        'codeHistoryTracker.showFileHistory',
+        async uri => {
+            try {
+                if (uri instanceof vscode.Uri) {
+                    await historyView.show(fileQuery(fileForUri(uri)));
+                    return;
                 }
+            } catch (error) {
+                vscode.window.showErrorMessage(`Error: ${error.message}`);
+                return;
+            }
+            
+            const editor = vscode.window.activeTextEditor;
+            if (!editor) {
+                vscode.window.showErrorMessage('No active editor');
+                return;
+            }
+            
+            await historyView.show(fileQuery(editor.document.fileName));
+        }
+    );
+    
+    // Commands of the File History view in the Source Control sidebar
+    const refreshFileHistoryCommand = vscode.commands.registerCommand(
+        'codeHistoryTracker.refreshFileHistory',
+        () => fileHistoryTree.refresh()
+    );
+    
+    const openCommitFileCommand = vscode.commands.registerCommand(
+        'codeHistoryTracker.openCommitFile',
+        async (gitRoot, commit, file) => {
+            try {
+                await openCommitDiff(gitRoot, commit, fileTarget(file));
+            } catch (error) {
+                vscode.window.showErrorMessage(`Error: ${error.message}`);
+            }
+        }
+    );
+    
+    const copyCommitHashCommand = vscode.commands.registerCommand(
+        'codeHistoryTracker.copyCommitHash',
+        async element => {
+            if (!element || !element.commit) return;
+            await vscode.env.clipboard.writeText(element.commit.hash);
+            vscode.window.setStatusBarMessage(`Copied ${element.commit.hash.substring(0, 7)}`, 2000);
+        }
+    );
+    
+    // Command: Export History
+    const exportHistoryCommand = vscode.commands.registerCommand(
+        'codeHistoryTracker.exportHistory',
+        async () => {
+            try {
+                await historyView.exportHistory();
+            } catch (error) {
+                vscode.window.showErrorMessage(`Error: ${error.message}`);
+            }
+        }
+    );
+    
+    // Command: Show Origin of Moved Code
+    const movedCodeCommand = vscode.commands.registerCommand(
+        'codeHistoryTracker.showMovedCodeOrigin',
+        async () => {
+            const editor = vscode.window.activeTextEditor;
+            if (!editor) {
+                vscode.window.showErrorMessage('No active editor');
+                return;
+            }
+            
+            try {
+                const [startLine, endLine] = selectionToLineRange(editor.selection);
+                const { gitRoot, origins } = await withGitProgress('Tracing moved code...', token =>
+                    getMovedCodeOrigins(editor.document.fileName, startLine, endLine, { token })
+                );
                 
-                vscode.window.showInformationMessage(`Tracking history for function: ${functionName}`);
+                if (origins.length === 0) {
+                    vscode.window.showInformationMessage('No code moved or copied from another file was found in the selection');
+                    return;
+                }
                 
-                const commits = getFunctionHistory(editor.document.fileName, functionName);
+                let origin = origins[0];
+                if (origins.length > 1) {
+                    const picked = await vscode.window.showQuickPick(
+                        origins.map(candidate => ({
+                            label: `${candidate.path}:${candidate.origStart}-${candidate.origEnd}`,
+                            description: `${candidate.hash.substring(0, 7)} · ${candidate.author.name}`,
+                            detail: `Lines ${candidate.finalStart}-${candidate.finalEnd} here · ${candidate.summary}`,
+                            origin: candidate
+                        })),
+                        { placeHolder: 'Select the moved code to trace' }
+                    );
+                    if (!picked) return;
+                    origin = picked.origin;
+                }
                 
-                const title = `History for function "${functionName}" in ${path.basename(editor.document.fileName)}`;
-                showCommitsPanel(context, commits, title);
+                await historyView.show({
+                    type: 'origin',
+                    filePath: editor.document.fileName,
+                    gitRoot,
+                    origin,
+                    title: `History for Lines ${origin.origStart}-${origin.origEnd} in ${path.basename(origin.path)} at ${origin.hash.substring(0, 7)}`
+                });
             } catch (error) {
+                if (error instanceof GitCancelledError) return;
                 vscode.window.showErrorMessage(`Error: ${error.message}`);
             }
         }
     );
     
-    context.subscriptions.push(hoverProvider, lineHistoryCommand, functionHistoryCommand);
+    context.subscriptions.push(
+        hoverProvider,
+        selectionListener,
+        foldersListener,
+        configListener,
+        revisionProvider,
+        panelSerializer,
+        sidebarProvider,
+        historyView,
+        currentLineBlame,
+        codeLensProvider,
+        codeLensRegistration,
+        fileHistoryTree,
+        repoChanged,
+        lineHistoryCommand,
+        functionHistoryCommand,
+        searchCodeCommand,
+        movedCodeCommand,
+        fileHistoryCommand,
+        refreshFileHistoryCommand,
+        openCommitFileCommand,
+        copyCommitHashCommand,
+        exportHistoryCommand,
+        { dispose: cancelPendingHover }
+    );
+    
+    return createApi(historyView, historyCache);
+}
+
+/**
+ * The API other extensions get from `activate`, through
+ * `vscode.extensions.getExtension(...).exports`. Histories are read with
+ * the user's settings for the file (renames, whitespace, ...), and lines
+ * are numbered as in the file's open editor, or on disk when it isn't
+ * open, like the commands do.
+ *
+ * `options` may hold a starting `revision`, `skip`, `maxCommits`,
+ * `showIgnored` (to keep the commits the settings ignore) and a
+ * cancellation `token`. Commits are copies of what the history view
+ * shows: `{ hash, parents, refs, author, committer, subject, body, files,
+ * path, diff, hunks }`, newest first, led by uncommitted changes for line
+ * histories.
+ */
+function createApi(historyView, historyCache) {
+    const run = (query, options = {}) => runHistoryQuery(
+        { ...query, revision: options.revision, showIgnored: options.showIgnored },
+        { token: options.token, skip: options.skip, maxCommits: options.maxCommits, cache: historyCache }
+    ).then(commits => structuredClone(commits));
+    
+    return {
+        version: 1,
+        
+        /**
+         * History of lines of a file: `range` is a vscode.Range, an array of
+         * them or a 1-based line number
+         */
+        async getLineHistory(uri, range, options) {
+            return run(lineQuery(fileForUri(uri), toLineRanges(range)), options);
+        },
+        
+        /**
+         * History of a function of a file, found by name, or by its lines
+         * with `options.range` (a vscode.Range)
+         */
+        async getFunctionHistory(uri, name, options = {}) {
+            const range = options.range ? toLineRanges(options.range)[0] : undefined;
+            return run(functionQuery(fileForUri(uri), name, range), options);
+        },
+        
+        /**
+         * Show a history in the history view, as the commands do
+         */
+        showLineHistory(uri, range) {
+            return vscode.commands.executeCommand('codeHistoryTracker.showLineHistory', uri, range);
+        },
+        
+        showFunctionHistory(uri, name) {
+            return vscode.commands.executeCommand('codeHistoryTracker.showFunctionHistory', uri, name);
+        },
+        
+        /**
+         * Fires with `{ query, commits }` when the history view has loaded
+         * commits: `query.type` is `lines`, `function`, `search`, `file` or `origin`
+         * and `query.filePath` the file asked about. The commits are the
+         * view's own, so treat them as read-only.
+         */
+        onDidShowHistory: historyView.onDidShowHistory
+    };
 }
 
 function deactivate() {}
@@ -0,0 +1,191 @@
+const { UNCOMMITTED_HASH } = require('./blame');
+
+/**
+ * Count the lines a commit added and removed in its diff hunks
+ */
+function countLineChanges(commit) {
+    let added = 0;
+    let removed = 0;
+
+    for (const hunk of commit.hunks || []) {
+        for (const line of hunk.lines) {
+            if (line.type === 'add') added++;
+            if (line.type === 'delete') removed++;
+        }
+    }
+
+    return { added, removed };
+}
+
+/**
+ * Commits and changed lines per author, most active first
+ */
+function summarizeAuthors(commits) {
+    const byAuthor = new Map();
+
+    for (const commit of commits) {
+        const key = commit.author.email.toLowerCase() || commit.author.name;
+        let author = byAuthor.get(key);
+        if (!author) {
+            author = { name: commit.author.name, email: commit.author.email, commits: 0, added: 0, removed: 0, lastDate: commit.author.date };
+            byAuthor.set(key, author);
+        }
+
+        const { added, removed } = countLineChanges(commit);
+        author.commits++;
+        author.added += added;
+        author.removed += removed;
+        if (Date.parse(commit.author.date) > Date.parse(author.lastDate)) author.lastDate = commit.author.date;
+    }
+
+    return Array.from(byAuthor.values()).sort((a, b) =>
+        b.commits - a.commits || (b.added + b.removed) - (a.added + a.removed)
+    );
+}
+
+/**
+ * Commits and changed lines per calendar month (UTC), oldest first, with
+ * empty months filled in so the timeline is continuous
+ */
+function churnByMonth(commits) {
+    const months = new Map();
+
+    for (const commit of commits) {
+        const date = new Date(commit.author.date);
+        if (isNaN(date.getTime())) continue;
+
+        const key = date.getUTCFullYear() * 12 + date.getUTCMonth();
+        const month = months.get(key) || { commits: 0, added: 0, removed: 0 };
+        const { added, removed } = countLineChanges(commit);
+        month.commits++;
+        month.added += added;
+        month.removed += removed;
+        months.set(key, month);
+    }
+
+    if (months.size === 0) return [];
+
+    const keys = Array.from(months.keys());
+    const timeline = [];
+    for (let key = Math.min(...keys); key <= Math.max(...keys); key++) {
+        const year = Math.floor(key / 12);
+        const month = String(key % 12 + 1).padStart(2, '0');
+        timeline.push({ month: `${year}-${month}`, ...(months.get(key) || { commits: 0, added: 0, removed: 0 }) });
+    }
+    return timeline;
+}
+
+/**
+ * Find the lines rewritten by the most commits.
+ *
+ * `git log -L` prints the whole tracked range in every commit's hunk, so
+ * walking the history newest first, the n-th line on a commit's old side
+ * is the n-th line on the new side of the commit before it. That maps
+ * every added line back to its line number today, starting from
+ * `startLine` (the range's first line now; defaults to the newest hunk's).
+ *
+ * Returns `[{ line, count, text }]`, most changed first, or null when the
+ * history isn't a single tracked range (several ranges, moved code).
+ */
+function findHotLines(commits, { startLine, limit = 10 } = {}) {
+    const tracked = commits.filter(commit => !commit.movedFrom && commit.hunks && commit.hunks.length);
+    if (tracked.length === 0 || tracked.some(commit => commit.ranges || commit.hunks.length > 1)) return null;
+
+    const touched = new Map();
+    let positions = null;
+
+    for (const commit of tracked) {
+        const hunk = commit.hunks[0];
+        if (!positions) {
+            const first = startLine || hunk.newStart;
+            positions = Array.from({ length: hunk.newLines }, (_, index) => first + index);
+        }
+        // The ranges no longer line up, e.g. after a history rewrite
+        if (positions.length !== hunk.newLines) break;
+
+        const older = [];
+        // Deleted lines directly followed by added lines were rewritten:
+        // pair them up so the old version keeps the line's position
+        let replaced = [];
+        let index = 0;
+        for (const line of hunk.lines) {
+            if (line.type === 'delete') {
+                replaced.push(older.length);
+                older.push(null);
+                continue;
+            }
+            const current = positions[index++];
+            if (line.type === 'context') {
+                older.push(current);
+                replaced = [];
+            } else if (current !== null) {
+                if (replaced.length) older[replaced.shift()] = current;
+                const entry = touched.get(current) || { line: current, count: 0, text: line.text };
+                entry.count++;
+                touched.set(current, entry);
+            }
+        }
+        positions = older;
+    }
+
+    return Array.from(touched.values())
+        .filter(entry => entry.count > 1)
+        .sort((a, b) => b.count - a.count || a.line - b.line)
+        .slice(0, limit);
+}
+
+/**
+ * Share of blamed lines per author (`parseBlamePorcelain` output), largest
+ * first. Uncommitted lines are counted under "Not committed yet".
+ */
+function summarizeOwnership({ lines, commits }) {
+    const byAuthor = new Map();
+
+    for (const line of lines) {
+        const commit = commits.get(line.hash);
+        const name = line.hash === UNCOMMITTED_HASH ? 'Not committed yet' : commit.author.name;
+        const email = line.hash === UNCOMMITTED_HASH ? '' : commit.author.email;
+        const key = email.toLowerCase() || name;
+        const owner = byAuthor.get(key) || { name, email, lines: 0, percent: 0 };
+        owner.lines++;
+        byAuthor.set(key, owner);
+    }
+
+    const owners = Array.from(byAuthor.values()).sort((a, b) => b.lines - a.lines);
+    owners.forEach(owner => {
+        owner.percent = Math.round(owner.lines / lines.length * 1000) / 10;
+    });
+    return owners;
+}
+
+/**
+ * Everything the analytics tab shows that can be derived from the commits
+ * alone: authors, per-commit line counts, monthly churn and hot lines.
+ * Entries for changes that aren't committed yet are left out.
+ */
+function buildAnalytics(allCommits, options = {}) {
+    const commits = allCommits.filter(commit => !commit.uncommitted);
+    return {
+        commitCount: commits.length,
+        authors: summarizeAuthors(commits),
+        changes: commits.map(commit => ({
+            hash: commit.hash,
+            subject: commit.subject,
+            author: commit.author.name,
+            date: commit.author.date,
+            ...countLineChanges(commit)
+        })),
+        churn: churnByMonth(commits),
+        hotLines: findHotLines(commits, options),
+        ownership: null
+    };
+}
+
+module.exports = {
+    countLineChanges,
+    summarizeAuthors,
+    churnByMonth,
+    findHotLines,
+    summarizeOwnership,
+    buildAnalytics
+};
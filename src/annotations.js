@@ -0,0 +1,202 @@
+const vscode = require('vscode');
+const { GitCancelledError } = require('./git');
+const { formatDate } = require('./render');
+
+const BLAME_DELAY = 250;
+
+/**
+ * Extension settings for a document, including language-specific overrides
+ */
+function config(document) {
+    return vscode.workspace.getConfiguration('codeHistoryTracker', document);
+}
+
+/**
+ * End-of-line annotation for the line under the cursor:
+ * "Author, 3 days ago • subject".
+ *
+ * Enabled by `codeHistoryTracker.currentLineBlame`. The lookup waits until
+ * the cursor settles and a newer cursor move cancels the git process of the
+ * previous one. `lineHistory(document, line, { token })` resolves the line
+ * of the (possibly unsaved) buffer to its commits, newest first; a first
+ * entry with `uncommitted` set stands for changes not committed yet.
+ */
+class CurrentLineBlame {
+    constructor(lineHistory) {
+        this.lineHistory = lineHistory;
+        this.decoration = vscode.window.createTextEditorDecorationType({
+            after: {
+                color: new vscode.ThemeColor('editorCodeLens.foreground'),
+                fontStyle: 'italic',
+                margin: '0 0 0 3em'
+            },
+            rangeBehavior: vscode.DecorationRangeBehavior.ClosedOpen
+        });
+        this.timer = null;
+        this.pending = null;
+        this.decorated = null;
+        this.subscriptions = [
+            vscode.window.onDidChangeTextEditorSelection(event => this.update(event.textEditor)),
+            vscode.window.onDidChangeActiveTextEditor(editor => this.update(editor)),
+            vscode.workspace.onDidChangeTextDocument(event => {
+                if (this.decorated && this.decorated.editor.document === event.document) this.clear();
+                const editor = vscode.window.activeTextEditor;
+                if (editor && editor.document === event.document) this.update(editor);
+            }),
+            vscode.workspace.onDidSaveTextDocument(document => {
+                const editor = vscode.window.activeTextEditor;
+                if (editor && editor.document === document) this.update(editor);
+            }),
+            vscode.workspace.onDidChangeConfiguration(event => {
+                if (event.affectsConfiguration('codeHistoryTracker')) {
+                    this.clear();
+                    this.update(vscode.window.activeTextEditor);
+                }
+            })
+        ];
+    }
+
+    /**
+     * Schedule an annotation for the editor's cursor line
+     */
+    update(editor) {
+        clearTimeout(this.timer);
+        this.cancel();
+
+        const line = editor && editor.selection.active.line;
+        if (this.decorated && (this.decorated.editor !== editor || this.decorated.line !== line)) {
+            this.clear();
+        }
+
+        if (!editor || editor.document.uri.scheme !== 'file' || editor.selections.length > 1 ||
+            !config(editor.document).get('currentLineBlame', false)) {
+            this.clear();
+            return;
+        }
+        if (this.decorated) return;
+
+        this.timer = setTimeout(() => this.annotate(editor, line), BLAME_DELAY);
+    }
+
+    async annotate(editor, line) {
+        const source = new vscode.CancellationTokenSource();
+        this.pending = source;
+
+        try {
+            const commits = await this.lineHistory(editor.document, line + 1, { token: source.token }); // Git uses 1-based line numbers
+            if (this.pending !== source || commits.length === 0) return;
+
+            const latest = commits[0];
+            const date = formatDate(latest.author.date, config(editor.document).get('dateFormat'));
+            const text = latest.uncommitted
+                ? `${latest.author.name} • ${latest.subject}`
+                : `${latest.author.name}, ${date} • ${latest.subject}`;
+            const end = editor.document.lineAt(line).range.end;
+
+            editor.setDecorations(this.decoration, [{
+                range: new vscode.Range(end, end),
+                renderOptions: { after: { contentText: text } }
+            }]);
+            this.decorated = { editor, line };
+        } catch (error) {
+            // Like the hover, fail silently: untracked files, new lines, ...
+        } finally {
+            if (this.pending === source) this.pending = null;
+            source.dispose();
+        }
+    }
+
+    cancel() {
+        if (this.pending) {
+            this.pending.cancel();
+            this.pending = null;
+        }
+    }
+
+    clear() {
+        if (this.decorated) {
+            this.decorated.editor.setDecorations(this.decoration, []);
+            this.decorated = null;
+        }
+    }
+
+    dispose() {
+        clearTimeout(this.timer);
+        this.cancel();
+        this.subscriptions.forEach(subscription => subscription.dispose());
+        this.decoration.dispose();
+    }
+}
+
+/**
+ * CodeLens above each function: "N changes · last by X, 3 days ago".
+ *
+ * Enabled by `codeHistoryTracker.functionCodeLens`. Lenses are placed from
+ * `functionTargets(document)` ({ name, range } with 1-based lines); the git
+ * history behind each one is only fetched, through
+ * `functionHistory(document, target, { token })`, when VS Code resolves a
+ * lens that scrolled into view. Clicking a lens runs
+ * `codeHistoryTracker.showFunctionHistory` for that function.
+ */
+class FunctionHistoryCodeLensProvider {
+    constructor({ functionTargets, functionHistory }) {
+        this.functionTargets = functionTargets;
+        this.functionHistory = functionHistory;
+        this.changeEmitter = new vscode.EventEmitter();
+        this.onDidChangeCodeLenses = this.changeEmitter.event;
+        this.configListener = vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('codeHistoryTracker')) this.changeEmitter.fire();
+        });
+    }
+
+    async provideCodeLenses(document) {
+        // Symbol ranges of unsaved edits don't match the committed file
+        if (document.isDirty || !config(document).get('functionCodeLens', false)) return [];
+
+        const targets = await this.functionTargets(document);
+        return targets.map(target => {
+            const line = target.range[0] - 1;
+            const lens = new vscode.CodeLens(new vscode.Range(line, 0, line, 0));
+            lens.document = document;
+            lens.target = target;
+            return lens;
+        });
+    }
+
+    async resolveCodeLens(lens, token) {
+        const { document, target } = lens;
+
+        try {
+            const commits = await this.functionHistory(document, target, { token });
+            if (commits.length === 0) {
+                lens.command = { title: 'No committed changes', command: '' };
+                return lens;
+            }
+
+            const latest = commits[0];
+            const changes = commits.length === 1 ? '1 change' : `${commits.length} changes`;
+            const date = formatDate(latest.author.date, config(document).get('dateFormat'));
+            lens.command = {
+                title: `${changes} · last by ${latest.author.name}, ${date}`,
+                tooltip: latest.subject,
+                command: 'codeHistoryTracker.showFunctionHistory',
+                arguments: [document.uri, { name: target.name, range: target.range }]
+            };
+        } catch (error) {
+            if (error instanceof GitCancelledError) return lens;
+            lens.command = { title: 'History unavailable', tooltip: error.message, command: '' };
+        }
+
+        return lens;
+    }
+
+    dispose() {
+        this.configListener.dispose();
+        this.changeEmitter.dispose();
+    }
+}
+
+module.exports = {
+    CurrentLineBlame,
+    FunctionHistoryCodeLensProvider
+};
@@ -0,0 +1,157 @@
+/**
+ * Links understood by each hosting provider, relative to the repository's
+ * web URL. `$1`, `$2`, ... in a URL are replaced with the pattern's groups;
+ * `$hash` in a commit URL with the full commit hash.
+ */
+const PROVIDERS = {
+    github: {
+        commit: '/commit/$hash',
+        // GitHub redirects /issues/<n> to the pull request when <n> is one
+        autolinks: [
+            { pattern: '(?<![\\w/])(?:GH-|#)(\\d+)\\b', url: '/issues/$1' }
+        ]
+    },
+    gitlab: {
+        commit: '/-/commit/$hash',
+        autolinks: [
+            { pattern: '(?<![\\w/])!(\\d+)\\b', url: '/-/merge_requests/$1' },
+            { pattern: '(?<![\\w/])#(\\d+)\\b', url: '/-/issues/$1' }
+        ]
+    },
+    bitbucket: {
+        commit: '/commits/$hash',
+        autolinks: [
+            { pattern: '\\b[Pp]ull [Rr]equest #(\\d+)\\b', url: '/pull-requests/$1' },
+            { pattern: '(?<![\\w/])#(\\d+)\\b', url: '/issues/$1' }
+        ]
+    }
+};
+
+/**
+ * Abbreviated or full commit hashes mentioned in a message ("Revert
+ * 1a2b3c4"). At least one letter and one digit, so plain numbers and words
+ * such as "deadbeef" are left alone.
+ */
+const HASH_PATTERN = '\\b(?=[0-9a-f]*[a-f])(?=[0-9a-f]*\\d)([0-9a-f]{7,40})\\b';
+
+/**
+ * Parse a git remote URL (https, ssh or scp-like) into its web URL and
+ * hosting provider. Credentials in the URL are dropped. Returns null for
+ * URLs that don't look like a hosted repository, e.g. local paths.
+ */
+function parseRemoteUrl(remoteUrl) {
+    const url = (remoteUrl || '').trim();
+    let host;
+    let repoPath;
+
+    const scp = url.match(/^(?:[^@/]+@)?([^:/]+):(?!\/)(.+)$/);
+    const standard = url.match(/^(?:https?|ssh|git):\/\/(?:[^@/]+@)?([^/:]+)(?::\d+)?\/(.+)$/);
+    if (standard) {
+        [, host, repoPath] = standard;
+    } else if (scp) {
+        [, host, repoPath] = scp;
+    } else {
+        return null;
+    }
+
+    repoPath = repoPath.replace(/\.git\/?$/, '').replace(/\/+$/, '');
+    if (!repoPath.includes('/')) return null;
+
+    const lowerHost = host.toLowerCase();
+    const provider = ['github', 'gitlab', 'bitbucket'].find(name => lowerHost.includes(name)) || null;
+
+    // Bitbucket Server clones from /scm/<project>/<repo> but browses
+    // /projects/<project>/repos/<repo>
+    const server = provider === 'bitbucket' && repoPath.match(/^scm\/([^/]+)\/([^/]+)$/);
+    const webPath = server ? `projects/${server[1]}/repos/${server[2]}` : repoPath;
+
+    return {
+        provider,
+        host,
+        path: repoPath,
+        webUrl: `https://${host}/${webPath}`
+    };
+}
+
+/**
+ * Combine the user's autolinks (`{ pattern, url }` with absolute URLs)
+ * with the defaults for the remote's provider. User patterns come first so
+ * they win over defaults matching the same text.
+ */
+function buildLinks(remote, userAutolinks = []) {
+    const autolinks = (Array.isArray(userAutolinks) ? userAutolinks : [])
+        .filter(link => link && typeof link.pattern === 'string' && typeof link.url === 'string')
+        .map(link => ({ pattern: link.pattern, url: link.url }));
+
+    const provider = remote && remote.provider && PROVIDERS[remote.provider];
+    if (!provider) return { autolinks, commitUrl: null };
+
+    const commitUrl = remote.webUrl + provider.commit;
+    return {
+        autolinks: autolinks.concat(
+            provider.autolinks.map(link => ({ pattern: link.pattern, url: remote.webUrl + link.url })),
+            { pattern: HASH_PATTERN, url: commitUrl.replace('$hash', '$1') }
+        ),
+        commitUrl
+    };
+}
+
+/**
+ * URL of a commit on the hosting provider, or null without one
+ */
+function commitLink(links, hash) {
+    return links && links.commitUrl ? links.commitUrl.replace('$hash', hash) : null;
+}
+
+/**
+ * Render text with every autolink match turned into a link.
+ *
+ * `render.text(text)` escapes plain text and `render.link(label, url)`
+ * formats a link, so the same matching serves HTML and Markdown. Patterns
+ * that don't compile and URLs that aren't http(s) are skipped; where
+ * matches overlap, the earliest (then the first pattern) wins.
+ */
+function linkify(text, links, render) {
+    const patterns = compileAutolinks(links ? links.autolinks : []);
+    let output = '';
+    let position = 0;
+
+    while (position < text.length && patterns.length) {
+        let best = null;
+        for (const link of patterns) {
+            link.regex.lastIndex = position;
+            const match = link.regex.exec(text);
+            if (match && match[0] && (!best || match.index < best.match.index)) {
+                best = { link, match };
+            }
+        }
+        if (!best) break;
+
+        const { link, match } = best;
+        const url = link.url.replace(/\$(\d)/g, (_, group) => encodeURIComponent(match[group] || ''));
+        output += render.text(text.slice(position, match.index));
+        output += /^https?:\/\//i.test(url) ? render.link(match[0], url) : render.text(match[0]);
+        position = match.index + match[0].length;
+    }
+
+    return output + render.text(text.slice(position));
+}
+
+function compileAutolinks(autolinks) {
+    const compiled = [];
+    for (const link of autolinks || []) {
+        try {
+            compiled.push({ regex: new RegExp(link.pattern, 'g'), url: link.url });
+        } catch (error) {
+            // Ignore invalid user patterns rather than breaking the view
+        }
+    }
+    return compiled;
+}
+
+module.exports = {
+    parseRemoteUrl,
+    buildLinks,
+    commitLink,
+    linkify
+};
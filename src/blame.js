@@ -0,0 +1,127 @@
+const { unquotePath } = require('./gitLog');
+
+/**
+ * Hash git blame reports for lines that are not committed yet
+ */
+const UNCOMMITTED_HASH = '0000000000000000000000000000000000000000';
+
+/**
+ * Parse `git blame --porcelain` output.
+ *
+ * Returns `lines`, one `{ hash, origLine, finalLine, path, content }` per
+ * blamed line, and `commits`, a map from hash to the author, committer,
+ * summary and `previous` information git prints the first time it
+ * mentions a commit.
+ */
+function parseBlamePorcelain(output) {
+    const lines = [];
+    const commits = new Map();
+    let current = null;
+
+    for (const line of output.split('\n')) {
+        if (line.startsWith('\t')) {
+            if (current) {
+                current.entry.content = line.slice(1);
+                lines.push(current.entry);
+                current = null;
+            }
+            continue;
+        }
+
+        const header = line.match(/^([0-9a-f]{40}) (\d+) (\d+)(?: \d+)?$/);
+        if (header) {
+            const hash = header[1];
+            if (!commits.has(hash)) {
+                commits.set(hash, {
+                    hash,
+                    author: { name: '', email: '', date: '' },
+                    committer: { name: '', email: '', date: '' },
+                    summary: '',
+                    previous: null,
+                    boundary: false,
+                    path: null
+                });
+            }
+            current = {
+                commit: commits.get(hash),
+                entry: {
+                    hash,
+                    origLine: Number(header[2]),
+                    finalLine: Number(header[3]),
+                    path: commits.get(hash).path,
+                    content: ''
+                }
+            };
+            continue;
+        }
+
+        if (!current) continue;
+
+        const space = line.indexOf(' ');
+        const key = space === -1 ? line : line.slice(0, space);
+        const value = space === -1 ? '' : line.slice(space + 1);
+        const { commit, entry } = current;
+
+        switch (key) {
+            case 'author': commit.author.name = value; break;
+            case 'author-mail': commit.author.email = value.replace(/^<|>$/g, ''); break;
+            case 'author-time': commit.author.date = new Date(Number(value) * 1000).toISOString(); break;
+            case 'committer': commit.committer.name = value; break;
+            case 'committer-mail': commit.committer.email = value.replace(/^<|>$/g, ''); break;
+            case 'committer-time': commit.committer.date = new Date(Number(value) * 1000).toISOString(); break;
+            case 'summary': commit.summary = value; break;
+            case 'boundary': commit.boundary = true; break;
+            case 'previous': {
+                const previousSpace = value.indexOf(' ');
+                commit.previous = {
+                    hash: value.slice(0, previousSpace),
+                    path: unquotePath(value.slice(previousSpace + 1))
+                };
+                break;
+            }
+            case 'filename':
+                entry.path = unquotePath(value);
+                commit.path = entry.path;
+                break;
+        }
+    }
+
+    return { lines, commits };
+}
+
+/**
+ * Group consecutive blamed lines that come from the same commit and file
+ * into `{ hash, path, origStart, origEnd, finalStart, finalEnd }` blocks
+ */
+function groupBlameLines(lines) {
+    const blocks = [];
+
+    for (const line of lines) {
+        const last = blocks[blocks.length - 1];
+        if (last &&
+            last.hash === line.hash &&
+            last.path === line.path &&
+            last.origEnd + 1 === line.origLine &&
+            last.finalEnd + 1 === line.finalLine) {
+            last.origEnd = line.origLine;
+            last.finalEnd = line.finalLine;
+        } else {
+            blocks.push({
+                hash: line.hash,
+                path: line.path,
+                origStart: line.origLine,
+                origEnd: line.origLine,
+                finalStart: line.finalLine,
+                finalEnd: line.finalLine
+            });
+        }
+    }
+
+    return blocks;
+}
+
+module.exports = {
+    UNCOMMITTED_HASH,
+    parseBlamePorcelain,
+    groupBlameLines
+};
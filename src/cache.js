@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { runGit, raceCancellation } = require('./git');
+
+/**
+ * Bumped whenever the shape of cached commit objects changes, so entries
+ * written by an older version are never served
+ */
+const CACHE_VERSION = 4;
+
+const DEFAULT_MEMORY_ENTRIES = 200;
+const DEFAULT_DISK_ENTRIES = 2000;
+
+/**
+ * Share of maxDiskEntries written between prunes, so the disk store never
+ * grows more than that past its cap without listing the directory on
+ * every write
+ */
+const PRUNE_FRACTION = 0.05;
+
+/**
+ * Commit history cache with an in-memory LRU in front of an on-disk store.
+ *
+ * Keys are built from the repository root, the HEAD commit, the file's blob
+ * at HEAD and the query (line range, function name, ...). `git log` output
+ * for that combination never changes, so entries only need to be dropped to
+ * bound their size. What does change is which HEAD and blob a file maps to;
+ * that lookup is memoized per repository until invalidateRepo() is called.
+ */
+class HistoryCache {
+    constructor(options = {}) {
+        this.storagePath = options.storagePath || null;
+        this.maxMemoryEntries = options.maxMemoryEntries || DEFAULT_MEMORY_ENTRIES;
+        this.maxDiskEntries = options.maxDiskEntries || DEFAULT_DISK_ENTRIES;
+        this.onRepo = options.onRepo || null;
+        this.pruneInterval = Math.max(1, Math.floor(this.maxDiskEntries * PRUNE_FRACTION));
+        this.writesSincePrune = 0;
+        this.pruning = null;
+        this.memory = new Map();
+        this.revisions = new Map();
+        this.ready = this.storagePath
+            ? fs.promises.mkdir(this.storagePath, { recursive: true }).then(() => true, () => false)
+            : Promise.resolve(false);
+    }
+
+    /**
+     * Build the cache key for a query, or null when the file has no blob at
+     * HEAD (untracked files, empty repositories)
+     */
+    async keyFor(gitRoot, relativePath, query, options = {}) {
+        let repo = this.revisions.get(gitRoot);
+        if (!repo) {
+            repo = new Map();
+            this.revisions.set(gitRoot, repo);
+            if (this.onRepo) this.onRepo(gitRoot);
+        }
+
+        let revision = repo.get(relativePath);
+        if (!revision) {
+            // Shared by every caller, so no one caller's token may stop it
+            revision = runGit(gitRoot, ['rev-parse', 'HEAD', `HEAD:${relativePath}`])
+                .then(output => {
+                    const [head, blob] = output.trim().split('\n');
+                    return { head, blob };
+                })
+                .catch(() => {
+                    // Don't remember a failed lookup
+                    if (repo.get(relativePath) === revision) repo.delete(relativePath);
+                    return null;
+                });
+            repo.set(relativePath, revision);
+        }
+
+        const found = await raceCancellation(revision, options.token);
+        return found && [CACHE_VERSION, gitRoot, found.head, found.blob, relativePath, JSON.stringify(query)].join('\0');
+    }
+
+    /**
+     * Look up a cached value in memory, then on disk
+     */
+    async get(key) {
+        if (this.memory.has(key)) {
+            const value = this.memory.get(key);
+            // Re-insert to mark as most recently used
+            this.memory.delete(key);
+            this.memory.set(key, value);
+            return value;
+        }
+
+        const file = await this.fileFor(key);
+        if (!file) return undefined;
+
+        try {
+            const entry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+            if (entry.key !== key) return undefined;
+            this.remember(key, entry.value);
+            return entry.value;
+        } catch (error) {
+            return undefined;
+        }
+    }
+
+    /**
+     * Store a value in memory and persist it to disk in the background
+     */
+    async set(key, value) {
+        this.remember(key, value);
+
+        const file = await this.fileFor(key);
+        if (!file) return;
+
+        try {
+            await fs.promises.writeFile(file, JSON.stringify({ key, value }), 'utf8');
+        } catch (error) {
+            // The disk store is best-effort; the memory entry still works
+            return;
+        }
+
+        if (++this.writesSincePrune >= this.pruneInterval) {
+            this.writesSincePrune = 0;
+            await this.prune();
+        }
+    }
+
+    /**
+     * Forget the memoized HEAD and blobs for a repository after its refs move
+     */
+    invalidateRepo(gitRoot) {
+        const repo = this.revisions.get(gitRoot);
+        if (repo) repo.clear();
+    }
+
+    /**
+     * Drop every entry, in memory and on disk
+     */
+    async clear() {
+        this.memory.clear();
+        this.revisions.clear();
+        if (!(await this.ready)) return;
+
+        const files = await fs.promises.readdir(this.storagePath).catch(() => []);
+        await Promise.all(files
+            .filter(name => name.endsWith('.json'))
+            .map(name => fs.promises.unlink(path.join(this.storagePath, name)).catch(() => {})));
+    }
+
+    /**
+     * Delete the least recently written disk entries beyond maxDiskEntries.
+     * Runs at startup and every pruneInterval writes; overlapping calls
+     * share one run.
+     */
+    prune() {
+        if (!this.pruning) {
+            this.pruning = this.pruneDisk().finally(() => {
+                this.pruning = null;
+            });
+        }
+        return this.pruning;
+    }
+
+    async pruneDisk() {
+        if (!(await this.ready)) return;
+
+        const names = (await fs.promises.readdir(this.storagePath).catch(() => []))
+            .filter(name => name.endsWith('.json'));
+        if (names.length <= this.maxDiskEntries) return;
+
+        const entries = await Promise.all(names.map(async name => {
+            const file = path.join(this.storagePath, name);
+            const stat = await fs.promises.stat(file).catch(() => null);
+            return { file, mtime: stat ? stat.mtimeMs : 0 };
+        }));
+
+        entries.sort((a, b) => a.mtime - b.mtime);
+        await Promise.all(entries
+            .slice(0, entries.length - this.maxDiskEntries)
+            .map(entry => fs.promises.unlink(entry.file).catch(() => {})));
+    }
+
+    remember(key, value) {
+        this.memory.delete(key);
+        this.memory.set(key, value);
+        while (this.memory.size > this.maxMemoryEntries) {
+            this.memory.delete(this.memory.keys().next().value);
+        }
+    }
+
+    async fileFor(key) {
+        if (!(await this.ready)) return null;
+        const name = crypto.createHash('sha1').update(key).digest('hex');
+        return path.join(this.storagePath, `${name}.json`);
+    }
+}
+
+/**
+ * Serve a history query from the cache, computing and storing it on a miss.
+ * Without a cache, or for files with no blob at HEAD, this just runs compute.
+ */
+async function withHistoryCache(cache, gitRoot, relativePath, query, options, compute) {
+    if (!cache) return compute();
+
+    const key = await cache.keyFor(gitRoot, relativePath, query, options);
+    if (!key) return compute();
+
+    const cached = await cache.get(key);
+    if (cached !== undefined) return cached;
+
+    const value = await compute();
+    cache.set(key, value);
+    return value;
+}
+
+module.exports = {
+    CACHE_VERSION,
+    HistoryCache,
+    withHistoryCache
+};
@@ -0,0 +1,185 @@
+const { formatCommitsHTML, formatDate, formatLineRanges, codeFence, escapeMarkdown, markdownUrl } = require('./render');
+const { commitLink, linkify } = require('./autolinks');
+
+/**
+ * Report formats: file extension and save dialog filter name
+ */
+const EXPORT_FORMATS = {
+    markdown: { extension: 'md', name: 'Markdown' },
+    json: { extension: 'json', name: 'JSON' },
+    html: { extension: 'html', name: 'HTML' }
+};
+
+/**
+ * The parameters of a history query, for reports.
+ *
+ * `context.file` is the file's path in the repository, `context.revision`
+ * the commit the history was read at and `context.repository` the
+ * repository's description. Parameters that don't apply are left out.
+ */
+function describeQuery(query, context = {}) {
+    const parameters = {
+        type: query.type,
+        repository: context.repository,
+        file: context.file,
+        revision: context.revision,
+        showIgnored: query.showIgnored || undefined
+    };
+
+    switch (query.type) {
+        case 'lines':
+            parameters.ranges = query.ranges;
+            break;
+        case 'function':
+            parameters.functionName = query.functionName;
+            if (query.range) parameters.ranges = [query.range];
+            break;
+        case 'search':
+            parameters.snippet = query.snippet;
+            parameters.regex = !!query.regex;
+            parameters.allFiles = !!query.allFiles;
+            break;
+        case 'origin':
+            parameters.file = query.origin.path;
+            parameters.ranges = [[query.origin.origStart, query.origin.origEnd]];
+            parameters.revision = query.origin.hash;
+            break;
+    }
+
+    Object.keys(parameters).forEach(key => parameters[key] === undefined && delete parameters[key]);
+    return parameters;
+}
+
+/**
+ * Query parameters as `{ label, value, code }` rows for the Markdown and
+ * HTML reports; `code` marks values shown as code
+ */
+function formatParameters(parameters, commitCount, complete) {
+    const rows = [];
+    if (parameters.repository) rows.push({ label: 'Repository', value: parameters.repository });
+    if (parameters.file) rows.push({ label: parameters.allFiles ? 'Searched from' : 'File', value: parameters.file, code: true });
+    if (parameters.functionName) rows.push({ label: 'Function', value: parameters.functionName, code: true });
+    if (parameters.ranges) rows.push({ label: 'Lines', value: formatLineRanges(parameters.ranges) });
+    if (parameters.snippet !== undefined) {
+        rows.push({ label: parameters.regex ? 'Pattern' : 'Search', value: parameters.snippet, code: true });
+        rows.push({ label: 'Scope', value: parameters.allFiles ? 'Whole repository' : 'This file' });
+    }
+    if (parameters.revision) rows.push({ label: 'Revision', value: parameters.revision, code: true });
+    if (parameters.showIgnored) rows.push({ label: 'Ignored commits', value: 'Included' });
+    rows.push({ label: 'Commits', value: complete ? String(commitCount) : `${commitCount} newest (more not loaded)` });
+    return rows;
+}
+
+/**
+ * Markdown report, e.g. for a pull request description: the query as a
+ * table, then each commit with its message and a collapsed diff.
+ *
+ * `options.links` (see buildLinks) links hashes and issue references,
+ * `options.dateFormat` is passed to formatDate (relative dates are shown
+ * as absolute ones, since reports are read later) and `options.complete`
+ * is false when only the newest commits were loaded.
+ */
+function formatMarkdownReport(query, commits, context = {}, options = {}) {
+    const { links, complete = true } = options;
+    const dateFormat = reportDateFormat(options.dateFormat);
+    const markdownLinks = { text: escapeMarkdown, link: (label, url) => `[${escapeMarkdown(label)}](${markdownUrl(url)})` };
+
+    const lines = [`# ${escapeMarkdown(query.title || 'Code History')}`, ''];
+    lines.push('| Query | |', '| --- | --- |');
+    for (const row of formatParameters(describeQuery(query, context), commits.length, complete)) {
+        // Table cells can't hold line breaks, e.g. of a multi-line snippet
+        const value = row.value.replace(/\r?\n/g, '⏎');
+        lines.push(`| ${row.label} | ${(row.code ? inlineCode(value) : escapeMarkdown(value)).replace(/\|/g, '\\|')} |`);
+    }
+    lines.push('');
+
+    commits.forEach((commit, index) => {
+        const url = commit.uncommitted ? null : commitLink(links, commit.hash);
+        const hash = commit.uncommitted ? '' : url
+            ? `[\`${commit.hash.substring(0, 7)}\`](${markdownUrl(url)}) `
+            : `\`${commit.hash.substring(0, 7)}\` `;
+        lines.push(`## ${commits.length - index}. ${hash}${linkify(commit.subject, links, markdownLinks)}`, '');
+
+        let byline = `${escapeMarkdown(commit.author.name)}`;
+        if (commit.author.email) byline += ` ${escapeMarkdown(`<${commit.author.email}>`)}`;
+        byline += ` · ${formatDate(commit.author.date, dateFormat)}`;
+        if (commit.committer.name !== commit.author.name) byline += ` · committed by ${escapeMarkdown(commit.committer.name)}`;
+        lines.push(byline, '');
+
+        if (commit.body) lines.push(linkify(commit.body, links, markdownLinks), '');
+        if (commit.files && commit.files.length) {
+            lines.push(`Files: ${commit.files.map(file => inlineCode(file.path)).join(', ')}`, '');
+        }
+        if (commit.diff) {
+            const fence = codeFence(commit.diff);
+            lines.push('<details>', '<summary>Diff</summary>', '', `${fence}diff`, commit.diff, fence, '', '</details>', '');
+        }
+    });
+
+    return lines.join('\n');
+}
+
+/**
+ * JSON report: the query's parameters and the parsed commit objects,
+ * diffs and hunks included
+ */
+function formatJSONReport(query, commits, context = {}, options = {}) {
+    return JSON.stringify({
+        title: query.title,
+        query: describeQuery(query, context),
+        exportedAt: options.exportedAt || new Date().toISOString(),
+        complete: options.complete !== false,
+        commits
+    }, null, 2) + '\n';
+}
+
+/**
+ * Standalone HTML report: the history panel's page without its scripts,
+ * with the query's parameters under the title
+ */
+function formatHTMLReport(query, commits, context = {}, options = {}) {
+    const complete = options.complete !== false;
+    return formatCommitsHTML(commits, query.title || 'Code History', {
+        dateFormat: reportDateFormat(options.dateFormat),
+        showDiff: true,
+        links: options.links,
+        details: formatParameters(describeQuery(query, context), commits.length, complete),
+        standalone: true
+    });
+}
+
+/**
+ * Write a report in one of the EXPORT_FORMATS
+ */
+function formatReport(format, query, commits, context, options) {
+    switch (format) {
+        case 'markdown':
+            return formatMarkdownReport(query, commits, context, options);
+        case 'json':
+            return formatJSONReport(query, commits, context, options);
+        case 'html':
+            return formatHTMLReport(query, commits, context, options);
+        default:
+            throw new Error(`Unknown export format: ${format}`);
+    }
+}
+
+function reportDateFormat(dateFormat) {
+    return !dateFormat || dateFormat === 'relative' ? 'absolute' : dateFormat;
+}
+
+/**
+ * Inline code that survives backticks in the text
+ */
+function inlineCode(text) {
+    const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+    const ticks = '`'.repeat(longest + 1);
+    const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+    return `${ticks}${padding}${text}${padding}${ticks}`;
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    describeQuery,
+    formatReport
+};
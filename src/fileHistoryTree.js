@@ -0,0 +1,186 @@
+const vscode = require('vscode');
+const path = require('path');
+const { GitCancelledError } = require('./git');
+const { formatDate, escapeMarkdown } = require('./render');
+
+const FILE_HISTORY_VIEW_ID = 'codeHistoryTracker.fileHistory';
+const MAX_COMMITS = 50;
+const REFRESH_DELAY = 500;
+
+/**
+ * How a commit changed a file, by its `--name-status` letter
+ */
+const STATUS_LABELS = {
+    A: 'added',
+    M: 'modified',
+    D: 'deleted',
+    C: 'copied',
+    T: 'type changed'
+};
+
+/**
+ * Recent commits of the active editor's file, in the Source Control
+ * sidebar. Expanding a commit lists the files it changed; each opens the
+ * commit's diff of that file.
+ *
+ * `fileHistory(filePath, { token, maxCommits })` resolves to `{ gitRoot,
+ * commits }` for a file and `changedFiles(gitRoot, commit, { token })` to
+ * the files a commit changed (`{ status, oldPath, path }`);
+ * `onDidChangeRepository` fires with a repository's root when its HEAD or
+ * refs move. The file stays the same while a non-file editor (output,
+ * settings, ...) is active. Nothing is looked up while the view is hidden.
+ */
+class FileHistoryTreeProvider {
+    constructor({ fileHistory, changedFiles, onDidChangeRepository }) {
+        this.fileHistory = fileHistory;
+        this.changedFiles = changedFiles;
+        this.changed = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this.changed.event;
+        this.filePath = null;
+        this.gitRoot = null;
+        this.pending = null;
+        this.stale = false;
+        this.timer = null;
+        this.view = vscode.window.createTreeView(FILE_HISTORY_VIEW_ID, { treeDataProvider: this, showCollapseAll: true });
+        this.subscriptions = [
+            this.view,
+            this.changed,
+            vscode.window.onDidChangeActiveTextEditor(editor => this.follow(editor)),
+            this.view.onDidChangeVisibility(({ visible }) => {
+                if (visible && this.stale) this.refresh();
+            }),
+            // A commit or checkout touches several refs; reload once
+            onDidChangeRepository(gitRoot => {
+                if (gitRoot !== this.gitRoot) return;
+                clearTimeout(this.timer);
+                this.timer = setTimeout(() => this.refresh(), REFRESH_DELAY);
+            })
+        ];
+        this.follow(vscode.window.activeTextEditor);
+    }
+
+    /**
+     * Show the history of the editor's file, if it is a file on disk
+     */
+    follow(editor) {
+        if (!editor || editor.document.uri.scheme !== 'file' || editor.document.fileName === this.filePath) return;
+        this.filePath = editor.document.fileName;
+        this.gitRoot = null;
+        this.refresh();
+    }
+
+    /**
+     * Reload the commits, now or when the view is shown next
+     */
+    refresh() {
+        clearTimeout(this.timer);
+        if (this.pending) this.pending.cancel();
+        this.pending = null;
+        this.stale = !this.view.visible;
+        if (this.stale) return;
+
+        this.view.description = this.filePath ? path.basename(this.filePath) : undefined;
+        this.changed.fire();
+    }
+
+    getTreeItem(element) {
+        switch (element.type) {
+            case 'commit':
+                return commitItem(element);
+            case 'file':
+                return fileItem(element);
+            default:
+                return new vscode.TreeItem(element.label);
+        }
+    }
+
+    async getChildren(element) {
+        if (element) {
+            return element.type === 'commit' ? this.getCommitFiles(element) : [];
+        }
+
+        this.view.message = undefined;
+        if (!this.filePath) {
+            this.view.message = 'Open a file to see the commits that changed it.';
+            return [];
+        }
+
+        const source = new vscode.CancellationTokenSource();
+        this.pending = source;
+        const filePath = this.filePath;
+
+        try {
+            const { gitRoot, commits } = await this.fileHistory(filePath, { token: source.token, maxCommits: MAX_COMMITS });
+            this.gitRoot = gitRoot;
+            if (commits.length === 0) this.view.message = `No commits changed ${path.basename(filePath)} yet.`;
+            return commits.map(commit => ({ type: 'commit', gitRoot, filePath, commit }));
+        } catch (error) {
+            // A newer refresh replaces this one
+            if (error instanceof GitCancelledError) return [];
+            this.view.message = error.message;
+            return [];
+        } finally {
+            if (this.pending === source) this.pending = null;
+            source.dispose();
+        }
+    }
+
+    async getCommitFiles(element) {
+        try {
+            const files = await this.changedFiles(element.gitRoot, element.commit, {});
+            return files.map(file => ({ type: 'file', gitRoot: element.gitRoot, commit: element.commit, file }));
+        } catch (error) {
+            return [{ type: 'message', label: `Error: ${error.message}` }];
+        }
+    }
+
+    dispose() {
+        clearTimeout(this.timer);
+        if (this.pending) this.pending.cancel();
+        this.subscriptions.forEach(subscription => subscription.dispose());
+    }
+}
+
+/**
+ * A commit: its subject, with the short hash, author and date alongside
+ */
+function commitItem({ gitRoot, filePath, commit }) {
+    const config = vscode.workspace.getConfiguration('codeHistoryTracker', vscode.Uri.file(filePath));
+    const date = formatDate(commit.author.date, config.get('dateFormat', 'relative'));
+    const item = new vscode.TreeItem(commit.subject, vscode.TreeItemCollapsibleState.Collapsed);
+    item.id = `${gitRoot}:${filePath}:${commit.hash}`;
+    item.description = `${commit.hash.substring(0, 7)} · ${commit.author.name} · ${date}`;
+    item.iconPath = new vscode.ThemeIcon(commit.parents.length > 1 ? 'git-merge' : 'git-commit');
+    item.contextValue = 'commit';
+
+    const tooltip = new vscode.MarkdownString();
+    tooltip.appendMarkdown(`**${escapeMarkdown(commit.author.name)}** · ${escapeMarkdown(formatDate(commit.author.date, 'absolute'))}\n\n`);
+    tooltip.appendText(commit.body ? `${commit.subject}\n\n${commit.body}` : commit.subject);
+    tooltip.appendMarkdown(`\n\n\`${commit.hash}\``);
+    item.tooltip = tooltip;
+    return item;
+}
+
+/**
+ * A file a commit changed, opening the commit's diff of it
+ */
+function fileItem({ gitRoot, commit, file }) {
+    const filePath = file.path || file.oldPath;
+    const item = new vscode.TreeItem(path.basename(filePath), vscode.TreeItemCollapsibleState.None);
+    const directory = path.dirname(filePath);
+    const change = file.status === 'R' ? `renamed from ${file.oldPath}` : STATUS_LABELS[file.status] || file.status;
+    item.description = `${directory === '.' ? '' : `${directory} · `}${change}`;
+    item.resourceUri = vscode.Uri.file(path.join(gitRoot, filePath));
+    item.contextValue = 'commitFile';
+    item.command = {
+        command: 'codeHistoryTracker.openCommitFile',
+        title: 'Open Changes',
+        arguments: [gitRoot, commit, file]
+    };
+    return item;
+}
+
+module.exports = {
+    FILE_HISTORY_VIEW_ID,
+    FileHistoryTreeProvider
+};
@@ -0,0 +1,111 @@
+const path = require('path');
+const { escapeFuncname } = require('./git');
+
+/**
+ * Function declaration patterns used when no symbol provider is available
+ */
+const FUNCTION_PATTERNS = [
+    /function\s+(\w+)\s*\(/,           // function name()
+    /const\s+(\w+)\s*=\s*(?:async\s*)?\(/,  // const name = () or async
+    /(\w+)\s*:\s*(?:async\s*)?function/,    // name: function
+    /(?:public|private|protected)?\s*(\w+)\s*\([^)]*\)\s*{/, // method name()
+    /def\s+(\w+)\s*\(/,                // Python def name()
+    /fn\s+(\w+)\s*\(/,                 // Rust fn name()
+];
+
+/**
+ * Git funcname templates (POSIX basic regex) for a typed-in function name,
+ * keyed by language id. NAME is replaced with the escaped name. Git only
+ * tries them on lines its diff driver considers function headers, so
+ * indented definitions need a matching `diff=<lang>` gitattribute.
+ * Character classes like [[:space:]] can't be used because git ends the
+ * funcname at the first unescaped colon.
+ */
+const FUNCNAME_TEMPLATES = {
+    python: '^[ \t]*\\(async[ \t][ \t]*\\)*def[ \t][ \t]*NAME[ \t]*(',
+    ruby: '^[ \t]*def[ \t][ \t]*\\(self\\.\\)*NAME',
+    rust: 'fn[ \t][ \t]*NAME[ \t]*[(<]',
+    go: '^func[ \t].*NAME[ \t]*[[(]',
+    php: 'function[ \t][ \t]*&*NAME[ \t]*(',
+    javascript: 'function[ \t]*\\**[ \t]*NAME[ \t]*(',
+    typescript: 'function[ \t]*\\**[ \t]*NAME[ \t]*[(<]'
+};
+FUNCNAME_TEMPLATES.javascriptreact = FUNCNAME_TEMPLATES.javascript;
+FUNCNAME_TEMPLATES.typescriptreact = FUNCNAME_TEMPLATES.typescript;
+
+/**
+ * Language ids by file extension, for callers without an editor's
+ * language mode (the command line)
+ */
+const LANGUAGE_EXTENSIONS = {
+    '.py': 'python',
+    '.rb': 'ruby',
+    '.rs': 'rust',
+    '.go': 'go',
+    '.php': 'php',
+    '.js': 'javascript',
+    '.mjs': 'javascript',
+    '.cjs': 'javascript',
+    '.jsx': 'javascriptreact',
+    '.ts': 'typescript',
+    '.mts': 'typescript',
+    '.cts': 'typescript',
+    '.tsx': 'typescriptreact'
+};
+
+/**
+ * Guess a file's language id from its extension, or null
+ */
+function languageForFile(filePath) {
+    return LANGUAGE_EXTENSIONS[path.extname(filePath).toLowerCase()] || null;
+}
+
+/**
+ * Build a git funcname regex for a function name in the given language
+ */
+function funcnameForLanguage(languageId, functionName) {
+    const template = FUNCNAME_TEMPLATES[languageId];
+    if (!template) return null;
+    return template.replace('NAME', escapeFuncname(functionName));
+}
+
+/**
+ * Match the function declaration patterns against one of a file's `lines`
+ * (`lineNumber` is 0-based) and estimate the function's extent from
+ * indentation: it ends before the next non-blank line indented no deeper
+ * than the declaration, keeping a closing-bracket line at the
+ * declaration's own indentation.
+ */
+function matchFunctionAtLine(lines, lineNumber) {
+    const text = lines[lineNumber];
+    const pattern = FUNCTION_PATTERNS.find(candidate => candidate.test(text));
+    if (!pattern) return null;
+
+    const indentOf = line => line.match(/^\s*/)[0].length;
+    const indent = indentOf(text);
+    let endLine = lineNumber;
+
+    for (let i = lineNumber + 1; i < lines.length; i++) {
+        const line = lines[i];
+        if (!line.trim()) continue;
+        if (indentOf(line) > indent) {
+            endLine = i;
+            continue;
+        }
+        if (/^\s*[}\])]/.test(line)) {
+            endLine = i;
+        }
+        break;
+    }
+
+    return {
+        name: text.match(pattern)[1],
+        range: [lineNumber + 1, endLine + 1] // Git uses 1-based line numbers
+    };
+}
+
+module.exports = {
+    funcnameForLanguage,
+    languageForFile,
+    matchFunctionAtLine
+};
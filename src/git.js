@@ -0,0 +1,200 @@
+const { spawn } = require('child_process');
+const path = require('path');
+
+/**
+ * Default time limit for a single git invocation
+ */
+const DEFAULT_TIMEOUT = 30 * 1000;
+
+/**
+ * Git executable used by runGit (`codeHistoryTracker.gitPath`)
+ */
+let gitExecutable = 'git';
+
+/**
+ * Starting revision of a history meaning "every branch"
+ */
+const ALL_REVISIONS = '--all';
+
+/**
+ * Raised when a git process is stopped by a cancellation token
+ */
+class GitCancelledError extends Error {
+    constructor() {
+        super('Git command cancelled');
+        this.name = 'GitCancelledError';
+    }
+}
+
+/**
+ * Run git asynchronously and resolve with its stdout.
+ *
+ * `args` is an argv array handed to git directly, never through a shell,
+ * so paths, function names and snippets need no quoting. Output is
+ * streamed into memory chunk by chunk, so there is no maxBuffer ceiling.
+ * The process is killed when `options.token` (any object shaped like a
+ * vscode.CancellationToken) is cancelled or `options.timeout` elapses.
+ */
+function runGit(cwd, args, options = {}) {
+    const { token, timeout = DEFAULT_TIMEOUT, onData } = options;
+
+    return new Promise((resolve, reject) => {
+        if (token && token.isCancellationRequested) {
+            reject(new GitCancelledError());
+            return;
+        }
+
+        const child = spawn(gitExecutable, args, { cwd, windowsHide: true });
+        const stdout = [];
+        const stderr = [];
+        let settled = false;
+        let timer = null;
+        let cancelListener = null;
+
+        const finish = (error, output) => {
+            if (settled) return;
+            settled = true;
+            if (timer) clearTimeout(timer);
+            if (cancelListener) cancelListener.dispose();
+            if (error) {
+                reject(error);
+            } else {
+                resolve(output);
+            }
+        };
+
+        const stop = (error) => {
+            if (settled) return;
+            child.kill();
+            finish(error);
+        };
+
+        if (timeout > 0) {
+            timer = setTimeout(() => {
+                stop(new Error(`Git command timed out after ${timeout}ms`));
+            }, timeout);
+        }
+
+        if (token) {
+            cancelListener = token.onCancellationRequested(() => stop(new GitCancelledError()));
+        }
+
+        child.stdout.setEncoding('utf8');
+        child.stderr.setEncoding('utf8');
+
+        child.stdout.on('data', chunk => {
+            stdout.push(chunk);
+            if (onData) onData(chunk);
+        });
+        child.stderr.on('data', chunk => stderr.push(chunk));
+
+        child.on('error', error => {
+            finish(new Error(`Git command failed: ${error.message}`));
+        });
+
+        child.on('close', code => {
+            if (code === 0) {
+                finish(null, stdout.join(''));
+            } else {
+                const message = stderr.join('').trim() || `git exited with code ${code}`;
+                finish(new Error(`Git command failed: ${message}`));
+            }
+        });
+    });
+}
+
+/**
+ * Settle like `promise`, or reject with GitCancelledError as soon as
+ * `token` is cancelled. For waiting on work shared between callers, which
+ * runs without any one caller's token.
+ */
+function raceCancellation(promise, token) {
+    if (!token) return promise;
+
+    return new Promise((resolve, reject) => {
+        if (token.isCancellationRequested) {
+            reject(new GitCancelledError());
+            return;
+        }
+
+        const cancelListener = token.onCancellationRequested(() => reject(new GitCancelledError()));
+        promise.then(resolve, reject).finally(() => cancelListener.dispose());
+    });
+}
+
+/**
+ * Use a custom git executable; an empty path restores `git` from PATH
+ */
+function setGitPath(executable) {
+    gitExecutable = executable && executable.trim() ? executable.trim() : 'git';
+}
+
+/**
+ * Get git repository root for a file
+ */
+async function getGitRoot(filePath, options = {}) {
+    try {
+        const output = await runGit(path.dirname(filePath), ['rev-parse', '--show-toplevel'], options);
+        return output.trim();
+    } catch (error) {
+        if (error instanceof GitCancelledError) throw error;
+        return null;
+    }
+}
+
+/**
+ * Get the contents of a file as of a revision (`git show <ref>:<path>`)
+ */
+function showFileAtRevision(gitRoot, ref, relativePath, options = {}) {
+    return runGit(gitRoot, ['show', `${ref}:${relativePath}`], options);
+}
+
+/**
+ * Check a user-supplied function name before it is used with `-L :<funcname>:`.
+ * Returns an error message, or null when the name is acceptable.
+ */
+function validateFunctionName(name) {
+    if (!name || !name.trim()) {
+        return 'Function name cannot be empty';
+    }
+    if (name.length > 200) {
+        return 'Function name is too long';
+    }
+    if (/[\x00-\x1f\x7f]/.test(name)) {
+        return 'Function name cannot contain control characters or line breaks';
+    }
+    return null;
+}
+
+/**
+ * Escape a literal function name for git's `-L :<funcname>:` regex.
+ *
+ * Git compiles funcname as a POSIX basic regex, where only `.[]*^$\` are
+ * special (escaping `(` or `+` would turn them into operators). A `:` ends
+ * the funcname unless it is backslash-escaped.
+ */
+function escapeFuncname(name) {
+    return name.trim().replace(/[.[\]*^$\\:]/g, '\\$&');
+}
+
+/**
+ * Whether `git log -L` or `git blame -L` failed because a `:<funcname>:`
+ * regex matched no line
+ */
+function isFuncnameMismatch(error) {
+    return /-L parameter .* no match/.test(error.message);
+}
+
+module.exports = {
+    DEFAULT_TIMEOUT,
+    ALL_REVISIONS,
+    GitCancelledError,
+    runGit,
+    raceCancellation,
+    setGitPath,
+    getGitRoot,
+    showFileAtRevision,
+    validateFunctionName,
+    escapeFuncname,
+    isFuncnameMismatch
+};
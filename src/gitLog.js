@@ -0,0 +1,223 @@
+/**
+ * Fields requested from `git log --pretty`, in output order
+ */
+const LOG_FIELDS = [
+    ['hash', '%H'],
+    ['parents', '%P'],
+    ['refs', '%D'],
+    ['authorName', '%an'],
+    ['authorEmail', '%ae'],
+    ['authorDate', '%aI'],
+    ['committerName', '%cn'],
+    ['committerEmail', '%ce'],
+    ['committerDate', '%cI'],
+    ['subject', '%s'],
+    ['body', '%b']
+];
+
+/**
+ * Marks the start of every commit record. Commit messages cannot contain
+ * NUL and git only prints text diffs for -L, so a NUL followed by a
+ * record separator never occurs inside a record.
+ */
+const RECORD_START = '\x00\x1e';
+
+/**
+ * Shared `git log` formatting arguments understood by parseGitLog
+ */
+const LOG_FORMAT_ARGS = [
+    `--pretty=format:%x00%x1e${LOG_FIELDS.map(([, placeholder]) => `${placeholder}%x00`).join('')}`
+];
+
+/**
+ * Parse git log output (produced with LOG_FORMAT_ARGS) into structured commits
+ */
+function parseGitLog(output) {
+    const commits = [];
+
+    for (const record of output.split(RECORD_START)) {
+        if (!record.trim()) continue;
+
+        const values = record.split('\x00');
+        const fields = {};
+        LOG_FIELDS.forEach(([name], index) => {
+            fields[name] = values[index] || '';
+        });
+
+        // Whatever follows the last field is --name-status output and/or the -L diff
+        const rest = values.slice(LOG_FIELDS.length).join('\x00').replace(/^\n+/, '').replace(/\n+$/, '');
+        const { files, remainder: diff } = parseNameStatus(rest);
+        const hunks = parseDiffHunks(diff);
+
+        commits.push({
+            hash: fields.hash,
+            parents: fields.parents ? fields.parents.split(' ') : [],
+            refs: fields.refs ? fields.refs.split(', ') : [],
+            author: {
+                name: fields.authorName,
+                email: fields.authorEmail,
+                date: fields.authorDate
+            },
+            committer: {
+                name: fields.committerName,
+                email: fields.committerEmail,
+                date: fields.committerDate
+            },
+            subject: fields.subject,
+            body: fields.body.replace(/\s+$/, ''),
+            files,
+            // For -L queries: the file's path as of this commit, which differs
+            // from the current path before a rename
+            path: hunks.length ? (hunks[0].newPath || hunks[0].oldPath) : null,
+            diff,
+            hunks
+        });
+    }
+
+    return commits;
+}
+
+/**
+ * Read leading `--name-status` lines ("M\tpath", "R100\told\tnew") and
+ * return them with whatever text follows
+ */
+function parseNameStatus(text) {
+    const files = [];
+    const lines = text.split('\n');
+    let index = 0;
+
+    for (; index < lines.length; index++) {
+        const match = lines[index].match(/^([ACDMRTUXB])(\d*)\t([^\t]+)(?:\t(.+))?$/);
+        if (!match) break;
+        const [, status, score, first, second] = match;
+        files.push({
+            status,
+            similarity: score ? Number(score) : null,
+            oldPath: second ? unquotePath(first) : null,
+            path: unquotePath(second || first)
+        });
+    }
+
+    return {
+        files,
+        remainder: lines.slice(index).join('\n').replace(/^\n+/, '')
+    };
+}
+
+/**
+ * Split a unified diff into hunks with typed lines.
+ *
+ * Each hunk records the file paths it belongs to, its `@@` ranges and a
+ * list of `{ type: 'context' | 'add' | 'delete', text }` lines.
+ */
+function parseDiffHunks(diff) {
+    const hunks = [];
+    let oldPath = null;
+    let newPath = null;
+    let hunk = null;
+
+    for (const line of diff.split('\n')) {
+        if (line.startsWith('diff --git ')) {
+            hunk = null;
+            oldPath = null;
+            newPath = null;
+        } else if (!hunk && line.startsWith('--- ')) {
+            oldPath = parseDiffPath(line.slice(4));
+        } else if (!hunk && line.startsWith('+++ ')) {
+            newPath = parseDiffPath(line.slice(4));
+        } else if (line.startsWith('@@')) {
+            const match = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)$/);
+            if (!match) continue;
+            hunk = {
+                oldPath,
+                newPath,
+                oldStart: Number(match[1]),
+                oldLines: match[2] === undefined ? 1 : Number(match[2]),
+                newStart: Number(match[3]),
+                newLines: match[4] === undefined ? 1 : Number(match[4]),
+                header: match[5].trim(),
+                lines: []
+            };
+            hunks.push(hunk);
+        } else if (hunk) {
+            if (line.startsWith('+')) {
+                hunk.lines.push({ type: 'add', text: line.slice(1) });
+            } else if (line.startsWith('-')) {
+                hunk.lines.push({ type: 'delete', text: line.slice(1) });
+            } else if (line.startsWith(' ')) {
+                hunk.lines.push({ type: 'context', text: line.slice(1) });
+            }
+        }
+    }
+
+    return hunks;
+}
+
+/**
+ * Whether every hunk of a commit only changes whitespace, i.e. its removed
+ * and added lines are the same once all whitespace is dropped. `git log -L`
+ * ignores `-w` when choosing commits, so this is checked on the diff.
+ */
+function isWhitespaceOnlyChange(commit) {
+    const changed = commit.hunks.filter(hunk => hunk.lines.some(line => line.type !== 'context'));
+    if (changed.length === 0) return false;
+    
+    const squash = (hunk, type) => hunk.lines
+        .filter(line => line.type === type)
+        .map(line => line.text)
+        .join('')
+        .replace(/\s+/g, '');
+    
+    return changed.every(hunk => squash(hunk, 'delete') === squash(hunk, 'add'));
+}
+
+/**
+ * Strip the a/ or b/ prefix from a diff header path; /dev/null becomes null
+ */
+function parseDiffPath(value) {
+    if (value === '/dev/null') return null;
+    return unquotePath(value).replace(/^[ab]\//, '');
+}
+
+/**
+ * Unquote a path from git output if git quoted it
+ */
+function unquotePath(value) {
+    return value.startsWith('"') && value.endsWith('"') ? unquoteGitPath(value) : value;
+}
+
+/**
+ * Undo git's C-style quoting of paths with special characters
+ */
+function unquoteGitPath(quoted) {
+    const escapes = { n: '\n', t: '\t', '"': '"', '\\': '\\', a: '\x07', b: '\b', f: '\f', r: '\r', v: '\v' };
+    const bytes = [];
+    const inner = quoted.slice(1, -1);
+
+    for (let i = 0; i < inner.length; i++) {
+        const char = inner[i];
+        if (char !== '\\') {
+            bytes.push(...Buffer.from(char, 'utf8'));
+            continue;
+        }
+        const next = inner[i + 1];
+        if (/[0-7]/.test(next)) {
+            bytes.push(parseInt(inner.substr(i + 1, 3), 8));
+            i += 3;
+        } else {
+            bytes.push(...Buffer.from(escapes[next] || next, 'utf8'));
+            i += 1;
+        }
+    }
+
+    return Buffer.from(bytes).toString('utf8');
+}
+
+module.exports = {
+    LOG_FORMAT_ARGS,
+    parseGitLog,
+    parseNameStatus,
+    parseDiffHunks,
+    isWhitespaceOnlyChange,
+    unquotePath
+};
@@ -0,0 +1,908 @@
+const fs = require('fs');
+const path = require('path');
+const {
+    runGit,
+    showFileAtRevision,
+    GitCancelledError,
+    validateFunctionName,
+    escapeFuncname,
+    isFuncnameMismatch,
+    ALL_REVISIONS
+} = require('./git');
+const { withHistoryCache } = require('./cache');
+const { LOG_FORMAT_ARGS, parseGitLog, parseNameStatus, isWhitespaceOnlyChange } = require('./gitLog');
+const { UNCOMMITTED_HASH, parseBlamePorcelain, groupBlameLines } = require('./blame');
+const { compareWorkingCopy, mapRangesToHead, uncommittedChanges } = require('./workingTree');
+const { RepositoryRegistry, getUntrackedReason } = require('./repositories');
+const { splitLines } = require('./lineDiff');
+
+/**
+ * Get relative path from git root
+ */
+function getRelativePath(filePath, gitRoot) {
+    // Git expects forward slashes in pathspecs on every platform
+    return path.relative(gitRoot, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Repositories of every file looked up so far (and, in the extension, of
+ * the workspace)
+ */
+const repositories = new RepositoryRegistry();
+
+/**
+ * Explain why git has no history for a file that is ignored or untracked,
+ * or resolve to null when git tracks it
+ */
+async function explainUntrackedFile(gitRoot, relativePath, options) {
+    const reason = await getUntrackedReason(gitRoot, relativePath, options);
+    if (reason === 'ignored') {
+        return new Error(`${relativePath} is ignored by git (see .gitignore), so it has no history`);
+    }
+    if (reason === 'untracked') {
+        return new Error(`${relativePath} is not tracked by git yet; its history starts with its first commit`);
+    }
+    return null;
+}
+
+/**
+ * Run a history lookup for a file, reporting an ignored or untracked file
+ * as such instead of with git's error
+ */
+async function withTrackedFile(gitRoot, relativePath, options, lookup) {
+    try {
+        return await lookup();
+    } catch (error) {
+        if (error instanceof GitCancelledError) throw error;
+        throw await explainUntrackedFile(gitRoot, relativePath, options) || error;
+    }
+}
+
+/**
+ * Rename detection arguments for `git log -L`
+ */
+function renameArgs(options) {
+    return options.followRenames === false ? ['--no-renames'] : ['-M'];
+}
+
+/**
+ * `git log` arguments selecting a page of commits: `options.skip` commits
+ * are skipped and at most `options.maxCommits` (0 for all) are returned
+ */
+function limitArgs(options) {
+    const args = [];
+    if (options.skip > 0) args.push('--skip', String(options.skip));
+    if (options.maxCommits > 0) args.push('-n', String(options.maxCommits));
+    return args;
+}
+
+/**
+ * Select the page described by `options.skip` and `options.maxCommits`
+ * from a complete history. Used instead of limitArgs when commits are
+ * filtered or appended after git returns them, which would leave git's
+ * pages short or out of order.
+ */
+function pageCommits(commits, options) {
+    const start = options.skip || 0;
+    return commits.slice(start, options.maxCommits > 0 ? start + options.maxCommits : undefined);
+}
+
+/**
+ * Drop whitespace-only commits when `options.ignoreWhitespace` is set
+ */
+function filterWhitespace(commits, options) {
+    return options.ignoreWhitespace ? commits.filter(commit => !isWhitespaceOnlyChange(commit)) : commits;
+}
+
+/**
+ * The file listing commits to leave out of line histories when
+ * `blame.ignoreRevsFile` isn't set, by the convention GitHub follows
+ */
+const DEFAULT_IGNORE_REVS_FILE = '.git-blame-ignore-revs';
+
+/**
+ * Commits to leave out of line and function histories, e.g. mass
+ * reformatting: `options.ignoreRevisions` plus, unless
+ * `options.ignoreRevsFile` is false, the commits listed in the files
+ * `blame.ignoreRevsFile` names, or else in `.git-blame-ignore-revs`.
+ * Resolves to lowercase hashes, abbreviated ones (7 digits or more)
+ * included; anything else is skipped.
+ */
+async function resolveIgnoredRevisions(gitRoot, options = {}) {
+    const revisions = (options.ignoreRevisions || []).slice();
+    if (options.ignoreRevsFile !== false) {
+        for (const file of await getIgnoreRevsFiles(gitRoot, options)) {
+            revisions.push(...await readIgnoreRevsFile(file));
+        }
+    }
+
+    const hashes = revisions.map(revision => String(revision).trim().toLowerCase());
+    return Array.from(new Set(hashes.filter(hash => /^[0-9a-f]{7,40}$/.test(hash))));
+}
+
+/**
+ * The ignore-revs files of a repository that exist. Like git, an empty
+ * `blame.ignoreRevsFile` value drops the files configured before it.
+ */
+async function getIgnoreRevsFiles(gitRoot, options = {}) {
+    let files;
+    try {
+        const output = await runGit(gitRoot, ['config', '--path', '--get-all', 'blame.ignoreRevsFile'], options);
+        const values = output.replace(/\n$/, '').split('\n');
+        files = values.slice(values.lastIndexOf('') + 1).map(file => path.resolve(gitRoot, file));
+    } catch (error) {
+        if (error instanceof GitCancelledError) throw error;
+        files = [path.join(gitRoot, DEFAULT_IGNORE_REVS_FILE)];
+    }
+
+    // git blame fails on a missing file, e.g. one set globally for repositories that have it
+    const exists = await Promise.all(files.map(file => fs.promises.access(file).then(() => true, () => false)));
+    return files.filter((file, index) => exists[index]);
+}
+
+/**
+ * The commits an ignore-revs file lists, one per line with `#` comments.
+ * A missing file lists none.
+ */
+async function readIgnoreRevsFile(file) {
+    let text;
+    try {
+        text = await fs.promises.readFile(file, 'utf8');
+    } catch (error) {
+        return [];
+    }
+    return text.split(/\r?\n/).map(line => line.replace(/#.*/, '').trim()).filter(Boolean);
+}
+
+/**
+ * Drop the commits listed in `ignored` (see resolveIgnoredRevisions)
+ */
+function filterIgnoredRevisions(commits, ignored) {
+    if (!ignored.length) return commits;
+    return commits.filter(commit => commit.uncommitted || !ignored.some(hash => commit.hash.startsWith(hash)));
+}
+
+/**
+ * Resolve the revision a history starts from (a branch, tag, commit or
+ * any other revision expression) to a commit hash, so cached histories
+ * are keyed by what it pointed to. No revision (HEAD) and ALL_REVISIONS
+ * are returned as they are.
+ */
+async function resolveRevision(gitRoot, revision, options = {}) {
+    if (!revision || revision === ALL_REVISIONS) return revision || undefined;
+    // Anything else starting with a dash would be read as an option
+    if (revision.startsWith('-')) {
+        throw new Error(`Invalid revision: ${revision}`);
+    }
+
+    try {
+        const output = await runGit(gitRoot, ['rev-parse', '--verify', '--quiet', `${revision}^{commit}`], options);
+        return output.trim();
+    } catch (error) {
+        if (error instanceof GitCancelledError) throw error;
+        throw new Error(`Unknown revision: ${revision}`);
+    }
+}
+
+/**
+ * `git log` arguments for the starting revision in `options.revision`
+ */
+function revisionArgs(options) {
+    return options.revision ? [options.revision] : [];
+}
+
+/**
+ * Commits at the tip of every local and remote-tracking branch
+ */
+async function listBranchTips(gitRoot, options = {}) {
+    const output = await runGit(gitRoot, ['for-each-ref', '--format=%(objectname)', 'refs/heads', 'refs/remotes'], options);
+    return Array.from(new Set(output.split('\n').filter(Boolean)));
+}
+
+/**
+ * Merge the histories of several queries into one, newest first, noting
+ * in `commit.ranges` which of `ranges` each commit touched when given
+ */
+function mergeHistories(results, ranges) {
+    const byHash = new Map();
+    results.forEach((commits, index) => {
+        for (const commit of commits) {
+            const existing = byHash.get(commit.hash);
+            if (existing) {
+                if (ranges) existing.ranges.push(ranges[index]);
+                if (ranges && commit.diff) {
+                    existing.diff = existing.diff ? `${existing.diff}\n${commit.diff}` : commit.diff;
+                    existing.hunks = existing.hunks.concat(commit.hunks);
+                }
+            } else {
+                // Copy so cached commit objects are never mutated
+                byHash.set(commit.hash, ranges ? { ...commit, ranges: [ranges[index]] } : commit);
+            }
+        }
+    });
+
+    return Array.from(byHash.values()).sort((a, b) =>
+        Date.parse(b.committer.date) - Date.parse(a.committer.date)
+    );
+}
+
+/**
+ * Get history for a specific line range.
+ *
+ * Renames are followed unless `options.followRenames` is false; each
+ * commit's `path` is the file's path at that commit. With
+ * `options.detectMoves`, lines that `git blame -C` traces to another file
+ * (or to a commit outside this history) get their earlier history
+ * appended, marked with `commit.movedFrom`. `options.skip` and
+ * `options.maxCommits` select a page of the history,
+ * `options.ignoreWhitespace` leaves out whitespace-only commits and the
+ * commits resolveIgnoredRevisions lists are left out too.
+ */
+async function getLineHistory(filePath, startLine, endLine, options = {}) {
+    const gitRoot = await repositories.getRoot(filePath, options);
+    if (!gitRoot) {
+        throw new Error('Not a git repository');
+    }
+
+    if (options.revision === ALL_REVISIONS) {
+        throw new Error('Line history needs a single starting revision');
+    }
+
+    const relativePath = getRelativePath(filePath, gitRoot);
+    const ignored = await resolveIgnoredRevisions(gitRoot, options);
+    const inGit = !options.ignoreWhitespace && !options.detectMoves && !ignored.length;
+    const page = inGit ? { skip: options.skip || 0, maxCommits: options.maxCommits || 0 } : {};
+    const query = {
+        lines: [startLine, endLine],
+        followRenames: options.followRenames !== false,
+        detectMoves: !!options.detectMoves,
+        ignoreWhitespace: !!options.ignoreWhitespace,
+        ...(options.revision ? { revision: options.revision } : {}),
+        ...page
+    };
+
+    const commits = await withTrackedFile(gitRoot, relativePath, options, () =>
+        withHistoryCache(options.cache, gitRoot, relativePath, query, options, async () => {
+            // Use git log -L to track line history
+            const args = ['log', ...LOG_FORMAT_ARGS, ...renameArgs(options), ...limitArgs(page), '-L', `${startLine},${endLine}:${relativePath}`, ...revisionArgs(options)];
+            let commits;
+            let lastLine = endLine;
+
+            try {
+                const output = await runGit(gitRoot, args, options);
+                commits = filterWhitespace(parseGitLog(output), options);
+            } catch (error) {
+                // Try with just the current line if range fails
+                if (startLine === endLine || error instanceof GitCancelledError) throw error;
+                lastLine = startLine;
+                const singleLineArgs = ['log', ...LOG_FORMAT_ARGS, ...renameArgs(options), ...limitArgs(page), '-L', `${startLine},${startLine}:${relativePath}`, ...revisionArgs(options)];
+                const output = await runGit(gitRoot, singleLineArgs, options);
+                commits = filterWhitespace(parseGitLog(output), options);
+            }
+
+            if (options.detectMoves) {
+                commits = await appendMovedCodeHistory(gitRoot, relativePath, startLine, lastLine, commits, options);
+            }
+            return commits;
+        })
+    );
+
+    // Ignored commits are dropped after caching, so editing the list takes effect at once
+    return inGit ? commits : pageCommits(filterIgnoredRevisions(commits, ignored), options);
+}
+
+/**
+ * Find where the lines of a range originally came from, using
+ * `git blame -M -C -C` so code moved or copied from other files is traced
+ * to the commit that first wrote it. Returns one block per run of lines
+ * with `{ hash, path, origStart, origEnd, finalStart, finalEnd, summary,
+ * author }`.
+ */
+async function getCodeOrigins(gitRoot, relativePath, startLine, endLine, options = {}) {
+    const args = [
+        'blame', '--porcelain', '-M', '-C', '-C',
+        '-L', `${startLine},${endLine}`,
+        options.revision || 'HEAD', '--', relativePath
+    ];
+    const { lines, commits } = parseBlamePorcelain(await runGit(gitRoot, args, options));
+
+    return groupBlameLines(lines.filter(line => line.hash !== UNCOMMITTED_HASH)).map(block => {
+        const commit = commits.get(block.hash);
+        return { ...block, summary: commit.summary, author: commit.author };
+    });
+}
+
+/**
+ * Get the history of lines in a file as of a given commit
+ */
+async function getOriginHistory(gitRoot, origin, options = {}) {
+    const ignored = await resolveIgnoredRevisions(gitRoot, options);
+    const inGit = !options.ignoreWhitespace && !ignored.length;
+    const args = [
+        'log', ...LOG_FORMAT_ARGS, ...renameArgs(options), ...(inGit ? limitArgs(options) : []),
+        '-L', `${origin.origStart},${origin.origEnd}:${origin.path}`,
+        origin.hash, '--'
+    ];
+    const commits = filterWhitespace(parseGitLog(await runGit(gitRoot, args, options)), options);
+    return inGit ? commits : pageCommits(filterIgnoredRevisions(commits, ignored), options);
+}
+
+/**
+ * Continue a line history past the point where its code was moved or copied in
+ */
+async function appendMovedCodeHistory(gitRoot, relativePath, startLine, endLine, commits, options) {
+    const seen = new Set(commits.map(commit => commit.hash));
+    const result = commits.slice();
+
+    const origins = await getCodeOrigins(gitRoot, relativePath, startLine, endLine, options);
+    for (const origin of origins) {
+        // Lines whose origin is already in the history were not moved in
+        if (seen.has(origin.hash)) continue;
+
+        // Ignored commits are left out of the whole history later on
+        const originOptions = { ...options, skip: 0, maxCommits: 0, ignoreRevisions: [], ignoreRevsFile: false };
+        for (const commit of await getOriginHistory(gitRoot, origin, originOptions)) {
+            if (seen.has(commit.hash)) continue;
+            seen.add(commit.hash);
+            result.push({
+                ...commit,
+                movedFrom: { path: origin.path, lines: [origin.origStart, origin.origEnd] }
+            });
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Find code in a line range that was moved or copied from another file
+ */
+async function getMovedCodeOrigins(filePath, startLine, endLine, options = {}) {
+    const gitRoot = await repositories.getRoot(filePath, options);
+    if (!gitRoot) {
+        throw new Error('Not a git repository');
+    }
+
+    const relativePath = getRelativePath(filePath, gitRoot);
+    const origins = await getCodeOrigins(gitRoot, relativePath, startLine, endLine, options);
+    return {
+        gitRoot,
+        origins: origins.filter(origin => origin.path !== relativePath)
+    };
+}
+
+/**
+ * Merge overlapping or adjacent 1-based line ranges into a sorted list
+ */
+function mergeLineRanges(ranges) {
+    const sorted = ranges
+        .map(([start, end]) => [Math.min(start, end), Math.max(start, end)])
+        .sort((a, b) => a[0] - b[0]);
+
+    const merged = [];
+    for (const range of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1] + 1) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push(range.slice());
+        }
+    }
+    return merged;
+}
+
+/**
+ * Get history for several line ranges of the same file.
+ *
+ * Each range is queried separately so every commit can report which of the
+ * ranges it touched (`commit.ranges`, only set when there are several).
+ * Commits are de-duplicated by hash and returned newest first.
+ */
+async function getRangesHistory(filePath, ranges, options = {}) {
+    const merged = mergeLineRanges(ranges);
+    if (merged.length === 1) {
+        return getLineHistory(filePath, merged[0][0], merged[0][1], options);
+    }
+
+    // The first skip + maxCommits merged commits are among the first
+    // skip + maxCommits commits of each range
+    const rangeOptions = {
+        ...options,
+        skip: 0,
+        maxCommits: options.maxCommits > 0 ? (options.skip || 0) + options.maxCommits : 0
+    };
+    const results = await Promise.all(
+        merged.map(([start, end]) => getLineHistory(filePath, start, end, rangeOptions))
+    );
+
+    const commits = mergeHistories(results, merged);
+    return pageCommits(commits, options);
+}
+
+/**
+ * A file's contents at a revision (`''` for the index), or null when it
+ * doesn't exist there
+ */
+async function readRevision(gitRoot, ref, relativePath, options) {
+    try {
+        return await showFileAtRevision(gitRoot, ref, relativePath, options);
+    } catch (error) {
+        if (error instanceof GitCancelledError) throw error;
+        return null;
+    }
+}
+
+/**
+ * The working copy of a file as saved on disk
+ */
+function readWorkingCopy(filePath) {
+    return fs.promises.readFile(filePath, 'utf8').catch(error => {
+        throw error.code === 'ENOENT' ? new Error(`No such file: ${filePath}`) : error;
+    });
+}
+
+/**
+ * Map a 1-based line range of a file's working copy (`options.text`, else
+ * the file on disk) to the HEAD lines its committed lines came from, or
+ * null when none of them is committed. Files without a HEAD version keep
+ * the range, for git to report on.
+ */
+async function mapWorkingRangeToHead(filePath, range, options = {}) {
+    const gitRoot = await repositories.getRoot(filePath, options);
+    if (!gitRoot) {
+        throw new Error('Not a git repository');
+    }
+
+    const relativePath = getRelativePath(filePath, gitRoot);
+    const [working, head, index] = await Promise.all([
+        options.text !== undefined ? options.text : readWorkingCopy(filePath),
+        readRevision(gitRoot, 'HEAD', relativePath, options),
+        readRevision(gitRoot, '', relativePath, options)
+    ]);
+    if (head === null) return range;
+
+    const [headRange] = mapRangesToHead(compareWorkingCopy({ head, index, working }), [range]);
+    return headRange || null;
+}
+
+/**
+ * Get history for line ranges of the working copy of a file.
+ *
+ * `ranges` are numbered as in `options.text` (by default the file on
+ * disk; the extension passes the editor buffer), which can differ from
+ * the committed file: they are mapped back to HEAD through a diff before
+ * git is asked, and `commit.ranges` is numbered like them. Lines with
+ * changes that aren't committed yet add "Uncommitted changes" and "Staged
+ * changes" entries (see uncommittedChanges) ahead of the commits. Those
+ * entries count towards `options.skip` and `options.maxCommits`.
+ *
+ * With `options.revision` the history starts from that revision instead:
+ * the ranges are mapped to the file as it is there, lines that read
+ * differently standing for the lines they differ from.
+ */
+async function getWorkingTreeHistory(filePath, ranges, options = {}) {
+    const gitRoot = await repositories.getRoot(filePath, options);
+    if (!gitRoot) {
+        throw new Error('Not a git repository');
+    }
+
+    const revision = await resolveRevision(gitRoot, options.revision, options);
+    if (revision === ALL_REVISIONS) {
+        throw new Error('Line numbers only apply to one version of a file: pick a branch, tag or commit instead of all branches');
+    }
+
+    const relativePath = getRelativePath(filePath, gitRoot);
+    const [working, head, index] = await Promise.all([
+        options.text !== undefined ? options.text : readWorkingCopy(filePath),
+        readRevision(gitRoot, revision || 'HEAD', relativePath, options),
+        revision ? null : readRevision(gitRoot, '', relativePath, options)
+    ]);
+    if (head === null && revision) {
+        throw new Error(`${relativePath} does not exist at ${options.revision}`);
+    }
+    if (head === null && index === null) {
+        throw await explainUntrackedFile(gitRoot, relativePath, options) || new Error(`${relativePath} has no committed history`);
+    }
+
+    const comparison = compareWorkingCopy({ head, index, working });
+    const merged = mergeLineRanges(ranges);
+    // Changes against another branch aren't uncommitted changes
+    const pending = revision ? [] : filterWhitespace(uncommittedChanges(comparison, merged, { path: relativePath }), options);
+
+    // The entries before the commits take up part of the first pages
+    const skip = options.skip || 0;
+    const shown = pending.slice(skip);
+    const maxCommits = options.maxCommits > 0 ? options.maxCommits - shown.length : 0;
+    if (options.maxCommits > 0 && maxCommits <= 0) {
+        return shown.slice(0, options.maxCommits);
+    }
+
+    // Mapped one by one to tell which of the caller's ranges each HEAD range stands for
+    const mappings = head === null ? [] : merged
+        .map(range => ({ range, headRange: mapRangesToHead(comparison, [range], { changedLines: !!revision })[0] }))
+        .filter(mapping => mapping.headRange);
+    const headRanges = mappings.map(mapping => mapping.headRange);
+    // Read the ignored commits once rather than for every range
+    const ignoreRevisions = headRanges.length ? await resolveIgnoredRevisions(gitRoot, options) : [];
+    const commits = headRanges.length
+        ? await getRangesHistory(filePath, headRanges, {
+            ...options,
+            revision,
+            ignoreRevisions,
+            ignoreRevsFile: false,
+            skip: Math.max(0, skip - pending.length),
+            maxCommits
+        })
+        : [];
+    return shown.concat(labelWorkingRanges(commits, mappings));
+}
+
+/**
+ * Relabel the `commit.ranges` getRangesHistory sets, which are numbered as
+ * in HEAD, with the caller's ranges that were mapped into them
+ */
+function labelWorkingRanges(commits, mappings) {
+    return commits.map(commit => commit.ranges
+        ? {
+            ...commit,
+            ranges: commit.ranges.flatMap(([start, end]) => mappings
+                .filter(({ headRange }) => headRange[0] >= start && headRange[1] <= end)
+                .map(mapping => mapping.range))
+        }
+        : commit);
+}
+
+/**
+ * Get history for a function by name.
+ *
+ * By default git locates the function with the escaped name as its
+ * `-L :<funcname>:` regex. `options.funcname` supplies a ready-made
+ * (already escaped) regex instead, falling back to the name when it
+ * matches nothing, and `options.range` pins the function to exact 1-based
+ * lines of the working copy (`options.text`, else the file on disk), e.g.
+ * from a document symbol. Commits listed by resolveIgnoredRevisions are
+ * left out.
+ */
+async function getFunctionHistory(filePath, functionName, options = {}) {
+    const invalid = validateFunctionName(functionName);
+    if (invalid) {
+        throw new Error(invalid);
+    }
+
+    const gitRoot = await repositories.getRoot(filePath, options);
+    if (!gitRoot) {
+        throw new Error('Not a git repository');
+    }
+
+    const relativePath = getRelativePath(filePath, gitRoot);
+    const revision = await resolveRevision(gitRoot, options.revision, options);
+    if (revision === ALL_REVISIONS) {
+        return getAllBranchesFunctionHistory(filePath, functionName, options);
+    }
+
+    // A line range is only known for the working copy: elsewhere, find the function by name
+    let lineRange = `:${options.funcname || escapeFuncname(functionName)}`;
+    if (options.range && !revision) {
+        const range = await mapWorkingRangeToHead(filePath, options.range, options);
+        // None of the function is committed yet
+        if (!range) return [];
+        lineRange = `${range[0]},${range[1]}`;
+    }
+
+    const ignored = await resolveIgnoredRevisions(gitRoot, options);
+    const inGit = !options.ignoreWhitespace && !ignored.length;
+    const page = inGit ? { skip: options.skip || 0, maxCommits: options.maxCommits || 0 } : {};
+    const query = {
+        functionName,
+        lineRange,
+        followRenames: options.followRenames !== false,
+        ignoreWhitespace: !!options.ignoreWhitespace,
+        ...(revision ? { revision } : {}),
+        ...page
+    };
+
+    const commits = await withTrackedFile(gitRoot, relativePath, options, () =>
+        withHistoryCache(options.cache, gitRoot, relativePath, query, options, async () => {
+            // Use git log -L to track function history
+            const argsFor = range => ['log', ...LOG_FORMAT_ARGS, ...renameArgs(options), ...limitArgs(page), '-L', `${range}:${relativePath}`, ...revisionArgs({ revision })];
+
+            let output;
+            try {
+                output = await runGit(gitRoot, argsFor(lineRange), options);
+            } catch (error) {
+                // A language's template only knows some declarations
+                // (`function name(` but not `const name = () =>`); the bare
+                // name finds the rest
+                if (!options.funcname || !lineRange.startsWith(':') || !isFuncnameMismatch(error)) throw error;
+                output = await runGit(gitRoot, argsFor(`:${escapeFuncname(functionName)}`), options);
+            }
+            return filterWhitespace(parseGitLog(output), options);
+        })
+    );
+
+    return inGit ? commits : pageCommits(filterIgnoredRevisions(commits, ignored), options);
+}
+
+/**
+ * Function history across every branch. `git log -L` follows a single
+ * revision, so each branch tip is followed on its own (one at a time, to
+ * keep the number of git processes down) and the histories are merged.
+ * Branches without the function are skipped.
+ */
+async function getAllBranchesFunctionHistory(filePath, functionName, options) {
+    const gitRoot = await repositories.getRoot(filePath, options);
+    const tips = await listBranchTips(gitRoot, options);
+
+    // The first skip + maxCommits merged commits are among the first
+    // skip + maxCommits commits of each branch
+    const tipOptions = {
+        ...options,
+        range: undefined,
+        ignoreRevisions: await resolveIgnoredRevisions(gitRoot, options),
+        ignoreRevsFile: false,
+        skip: 0,
+        maxCommits: options.maxCommits > 0 ? (options.skip || 0) + options.maxCommits : 0
+    };
+    const results = [];
+    let lastError = null;
+    for (const tip of tips) {
+        try {
+            results.push(await getFunctionHistory(filePath, functionName, { ...tipOptions, revision: tip }));
+        } catch (error) {
+            if (error instanceof GitCancelledError) throw error;
+            lastError = error;
+        }
+    }
+    if (!results.length && lastError) {
+        throw lastError;
+    }
+
+    return pageCommits(mergeHistories(results), options);
+}
+
+/**
+ * Search for commits that modified specific code snippet.
+ *
+ * By default this is a pickaxe search (`git log -S`) for commits that
+ * changed how often the snippet occurs, i.e. added or removed it. With
+ * `options.regex` the snippet is an extended regex matched against changed
+ * lines (`git log -G`). `options.allFiles` searches the whole repository
+ * instead of just this file. Each commit lists the matching files in
+ * `commit.files`.
+ */
+async function searchCodeHistory(filePath, codeSnippet, options = {}) {
+    if (!codeSnippet) {
+        throw new Error('Nothing to search for');
+    }
+
+    const gitRoot = await repositories.getRoot(filePath, options);
+    if (!gitRoot) {
+        throw new Error('Not a git repository');
+    }
+
+    const relativePath = getRelativePath(filePath, gitRoot);
+
+    const args = [
+        'log',
+        options.regex ? '-G' : '-S',
+        codeSnippet,
+        '--name-status',
+        ...LOG_FORMAT_ARGS,
+        // git applies -n to the commits the pickaxe kept, so asking for
+        // everything up to the end of the page is enough; the page itself
+        // is cut out below
+        ...limitArgs({ maxCommits: options.maxCommits > 0 ? (options.skip || 0) + options.maxCommits : 0 }),
+        ...revisionArgs({ revision: await resolveRevision(gitRoot, options.revision, options) })
+    ];
+    if (!options.allFiles) {
+        args.push('--', relativePath);
+    }
+
+    const output = await runGit(gitRoot, args, options);
+    return pageCommits(parseGitLog(output), options);
+}
+
+/**
+ * Get the commits that changed a file, following it across renames
+ * (`git log --follow`) unless `options.followRenames` is false. Each
+ * commit lists the file under its name at that commit in `commit.files`.
+ */
+async function getFileHistory(filePath, options = {}) {
+    const gitRoot = await repositories.getRoot(filePath, options);
+    if (!gitRoot) {
+        throw new Error('Not a git repository');
+    }
+
+    const relativePath = getRelativePath(filePath, gitRoot);
+    const revision = await resolveRevision(gitRoot, options.revision, options);
+    const page = { skip: options.skip || 0, maxCommits: options.maxCommits || 0 };
+    const query = {
+        file: true,
+        followRenames: options.followRenames !== false,
+        ...(revision ? { revision } : {}),
+        ...page
+    };
+
+    const lookup = async () => {
+        const args = [
+            'log', '--name-status', ...LOG_FORMAT_ARGS,
+            ...(options.followRenames === false ? [] : ['--follow']),
+            ...limitArgs(page), ...revisionArgs({ revision }), '--', relativePath
+        ];
+        return parseGitLog(await runGit(gitRoot, args, options));
+    };
+    // Other branches move without HEAD moving, which the cache keys on
+    const commits = revision === ALL_REVISIONS
+        ? await lookup()
+        : await withHistoryCache(options.cache, gitRoot, relativePath, query, options, lookup);
+
+    // git log is simply empty for files it doesn't know
+    if (commits.length === 0 && page.skip === 0) {
+        const untracked = await explainUntrackedFile(gitRoot, relativePath, options);
+        if (untracked) throw untracked;
+    }
+    return commits;
+}
+
+/**
+ * The files a commit changed compared with its first parent, renames
+ * detected, as `{ status, similarity, oldPath, path }`
+ */
+async function getChangedFiles(gitRoot, commit, options = {}) {
+    const base = commit.parents.length ? [commit.parents[0]] : ['--root'];
+    const output = await runGit(gitRoot, ['diff-tree', '-r', '-M', '--name-status', '--no-commit-id', ...base, commit.hash], options);
+    return parseNameStatus(output).files;
+}
+
+/**
+ * Escape text for use as a literal in a POSIX extended regex (`git log -G`)
+ */
+function escapeExtendedRegex(text) {
+    return text.replace(/[.[\]{}()*+?^$|\\]/g, '\\$&');
+}
+
+/**
+ * The source of a function as of a revision. `location` is either its
+ * 1-based `[start, end]` lines there, e.g. from the `-L` hunk of a commit
+ * in its history, or a funcname regex: git then locates it with the
+ * `-L :<funcname>:` match at that revision, like the function's history,
+ * and the newest commit touching it shows its whole body on the new side.
+ */
+async function getFunctionAtRevision(gitRoot, ref, relativePath, location, options = {}) {
+    if (Array.isArray(location)) {
+        const [start, end] = location;
+        const content = await readRevision(gitRoot, ref, relativePath, options);
+        const lines = content === null ? [] : splitLines(content);
+        if (end > lines.length) {
+            throw new Error(`No lines ${start}-${end} in ${relativePath} at ${ref.substring(0, 7)}`);
+        }
+        return lines.slice(start - 1, end).map(line => `${line}\n`).join('');
+    }
+
+    const funcname = location;
+    const args = ['log', ...LOG_FORMAT_ARGS, '-n', '1', '-L', `:${funcname}:${relativePath}`, ref, '--'];
+    let commit;
+    try {
+        [commit] = parseGitLog(await runGit(gitRoot, args, options));
+    } catch (error) {
+        if (error instanceof GitCancelledError) throw error;
+        commit = null;
+    }
+    if (!commit || commit.hunks.length === 0) {
+        throw new Error(`No function matching ${funcname} in ${relativePath} at ${ref.substring(0, 7)}`);
+    }
+
+    return commit.hunks[0].lines
+        .filter(line => line.type !== 'delete')
+        .map(line => `${line.text}\n`)
+        .join('');
+}
+
+/**
+ * The branch commits are compared against for "not in main" badges:
+ * `configured` when given, else the branch `origin/HEAD` points to, else
+ * `main` or `master`. Resolves to null when none exists.
+ */
+async function getBaseBranch(gitRoot, configured, options = {}) {
+    const candidates = configured ? [configured] : [];
+    if (!configured) {
+        const remoteHead = await runGit(gitRoot, ['symbolic-ref', '--quiet', '--short', 'refs/remotes/origin/HEAD'], options)
+            .then(output => output.trim(), error => {
+                if (error instanceof GitCancelledError) throw error;
+                return '';
+            });
+        if (remoteHead) candidates.push(remoteHead);
+        candidates.push('main', 'master');
+    }
+
+    for (const candidate of candidates) {
+        try {
+            await resolveRevision(gitRoot, candidate, options);
+            return candidate;
+        } catch (error) {
+            if (error instanceof GitCancelledError) throw error;
+        }
+    }
+    return null;
+}
+
+/**
+ * git for-each-ref processes getContainingRefs runs at once
+ */
+const CONTAINING_REFS_CONCURRENCY = 8;
+
+/**
+ * The branches and tags that contain each commit, as `{ branches, tags }`
+ * of short names. `git for-each-ref --contains` runs once per commit, a
+ * few at a time.
+ */
+async function getContainingRefs(gitRoot, hashes, options = {}) {
+    const results = new Array(hashes.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < hashes.length) {
+            const index = next++;
+            results[index] = await listContainingRefs(gitRoot, hashes[index], options);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(CONTAINING_REFS_CONCURRENCY, hashes.length) }, worker));
+
+    const containing = {};
+    hashes.forEach((hash, index) => {
+        containing[hash] = results[index];
+    });
+    return containing;
+}
+
+async function listContainingRefs(gitRoot, hash, options) {
+    const output = await runGit(gitRoot, [
+        'for-each-ref', '--format=%(refname)', '--contains', hash, 'refs/heads', 'refs/remotes', 'refs/tags'
+    ], options);
+    const refs = { branches: [], tags: [] };
+    for (const ref of output.split('\n').filter(Boolean)) {
+        if (ref.startsWith('refs/tags/')) {
+            refs.tags.push(ref.slice('refs/tags/'.length));
+        } else if (!ref.endsWith('/HEAD')) {
+            refs.branches.push(ref.replace(/^refs\/(heads|remotes)\//, ''));
+        }
+    }
+    return refs;
+}
+
+/**
+ * The commits among `hashes` (full hashes) that `base` doesn't contain, as
+ * a Set. `base` is anything git resolves to a commit: a branch or tag, a
+ * full ref name or a hash. One `git rev-list` answers for every commit.
+ */
+async function getCommitsNotIn(gitRoot, hashes, base, options = {}) {
+    if (hashes.length === 0) return new Set();
+
+    const output = await runGit(gitRoot, ['rev-list', ...hashes, '--not', base, '--'], options);
+    const wanted = new Set(hashes);
+    return new Set(output.split('\n').filter(hash => wanted.has(hash)));
+}
+
+module.exports = {
+    repositories,
+    getRelativePath,
+    mergeLineRanges,
+    resolveRevision,
+    resolveIgnoredRevisions,
+    getIgnoreRevsFiles,
+    getLineHistory,
+    getRangesHistory,
+    mapWorkingRangeToHead,
+    getWorkingTreeHistory,
+    getFunctionHistory,
+    searchCodeHistory,
+    getFileHistory,
+    getChangedFiles,
+    getOriginHistory,
+    getCodeOrigins,
+    getMovedCodeOrigins,
+    getFunctionAtRevision,
+    getBaseBranch,
+    getContainingRefs,
+    getCommitsNotIn,
+    escapeExtendedRegex
+};
@@ -0,0 +1,581 @@
+const vscode = require('vscode');
+const crypto = require('crypto');
+const { formatCommitsHTML, formatRevision } = require('./render');
+const { GitCancelledError, ALL_REVISIONS } = require('./git');
+const { languageForFile } = require('./functions');
+
+const PANEL_VIEW_TYPE = 'codeHistory';
+const SIDEBAR_VIEW_ID = 'codeHistoryTracker.historyView';
+const FOLLOW_CURSOR_KEY = 'codeHistoryTracker.followCursor';
+const MAX_ENTRIES = 50;
+const FOLLOW_DELAY = 500;
+const PAGE_SIZE = 50;
+
+/**
+ * Query types whose histories leave out ignored commits
+ */
+const IGNORING_QUERY_TYPES = new Set(['lines', 'function', 'origin']);
+
+/**
+ * The single history view shared by every command.
+ *
+ * Lives either in one reusable editor panel or in the sidebar webview view
+ * (`codeHistoryTracker.historyLocation`). Each query is a plain,
+ * serializable object; the list of past queries drives back/forward
+ * navigation and is saved in the webview state so the panel can be
+ * restored after a reload.
+ *
+ * Commits are fetched a page at a time: `runQuery(query, { token, skip,
+ * maxCommits })` resolves one batch of a query's commits,
+ * `runAnalytics(query, commits, { token })` computes the analytics tab for
+ * the loaded commits, `resolveLinks(query, { token })` provides the
+ * autolinks for commit messages, `resolveRepository(query, { token })`
+ * names the repository shown in the header, `resolveContainment(query,
+ * commits, { token })` finds the branches and tags containing commits (see
+ * resolveQueryContainment), `onCommitAction(message, commits, query)`
+ * handles commit card actions, `onExport(query, commits, { links,
+ * repository, complete })` saves the loaded commits as a report,
+ * `pickRevision(query)` asks for the revision a history starts from
+ * (undefined when dismissed) and `followQuery(editor)` builds the query
+ * used when following the cursor.
+ *
+ * `onDidShowHistory` fires with `{ query, commits }` whenever commits
+ * have been loaded for the current query, including each further page.
+ */
+class HistoryView {
+    constructor(context, {
+        runQuery, runAnalytics, resolveLinks, resolveRepository, resolveContainment,
+        onCommitAction, onExport, pickRevision, followQuery
+    }) {
+        this.context = context;
+        this.runQuery = runQuery;
+        this.runAnalytics = runAnalytics;
+        this.resolveLinks = resolveLinks;
+        this.resolveRepository = resolveRepository;
+        this.resolveContainment = resolveContainment;
+        this.onCommitAction = onCommitAction;
+        this.onExport = onExport;
+        this.pickRevision = pickRevision;
+        this.followQuery = followQuery;
+        this.entries = [];
+        this.index = -1;
+        this.commits = null;
+        this.hasMore = false;
+        this.links = null;
+        this.repository = null;
+        this.message = null;
+        this.filters = {};
+        this.tab = 'commits';
+        this.analytics = null;
+        this.analyticsMessage = null;
+        this.pendingAnalytics = null;
+        this.containment = null;
+        this.pendingContainment = null;
+        this.followCursor = context.globalState.get(FOLLOW_CURSOR_KEY, false);
+        this.panel = null;
+        this.view = null;
+        this.pending = null;
+        this.followTimer = null;
+        this.didShowHistory = new vscode.EventEmitter();
+        this.onDidShowHistory = this.didShowHistory.event;
+    }
+
+    get current() {
+        return this.entries[this.index] || null;
+    }
+
+    get location() {
+        return vscode.workspace.getConfiguration('codeHistoryTracker').get('historyLocation', 'panel');
+    }
+
+    /**
+     * Show the history for a new query. With `replace`, the query takes the
+     * place of the current entry instead of adding a navigation step.
+     */
+    async show(query, { replace = false, silent = false } = {}) {
+        const previous = {
+            entries: this.entries.slice(),
+            index: this.index,
+            commits: this.commits,
+            hasMore: this.hasMore,
+            links: this.links,
+            repository: this.repository,
+            containment: this.containment,
+            message: this.message
+        };
+
+        if (replace && this.current) {
+            this.entries[this.index] = query;
+        } else {
+            this.entries = this.entries.slice(0, this.index + 1).concat(query).slice(-MAX_ENTRIES);
+            this.index = this.entries.length - 1;
+        }
+
+        await this.reveal(silent);
+        const completed = await this.refresh({ silent });
+
+        // A cancelled query leaves the view as it was
+        if (!completed && this.current === query) {
+            Object.assign(this, previous);
+            this.render();
+            this.updateAnalytics();
+            this.updateContainment();
+        }
+    }
+
+    back() {
+        if (this.index <= 0) return;
+        this.index--;
+        this.refresh({ silent: true });
+    }
+
+    forward() {
+        if (this.index >= this.entries.length - 1) return;
+        this.index++;
+        this.refresh({ silent: true });
+    }
+
+    setFollowCursor(value) {
+        this.followCursor = !!value;
+        this.context.globalState.update(FOLLOW_CURSOR_KEY, this.followCursor);
+        this.render();
+    }
+
+    /**
+     * Re-run the current query and render it. Resolves to false when the
+     * run was cancelled.
+     */
+    async refresh({ silent = false } = {}) {
+        const query = this.current;
+        if (!query) {
+            this.render();
+            return true;
+        }
+
+        if (this.pending) this.pending.cancel();
+        const source = new vscode.CancellationTokenSource();
+        this.pending = source;
+
+        this.commits = null;
+        this.hasMore = false;
+        this.links = null;
+        this.repository = null;
+        this.message = null;
+        this.resetAnalytics();
+        this.resetContainment();
+        this.render();
+
+        const page = this.pageAfter(query, 0);
+        const run = token => {
+            const cancel = token.onCancellationRequested(() => source.cancel());
+            return Promise.all([
+                this.runQuery(query, { token: source.token, skip: page.skip, maxCommits: page.maxCommits }),
+                this.resolveLinks(query, { token: source.token }),
+                this.resolveRepository(query, { token: source.token })
+            ]).finally(() => cancel.dispose());
+        };
+
+        try {
+            const [commits, links, repository] = silent
+                ? await run(source.token)
+                : await vscode.window.withProgress({
+                    location: this.location === 'sidebar' ? { viewId: SIDEBAR_VIEW_ID } : vscode.ProgressLocation.Notification,
+                    title: 'Searching git history...',
+                    cancellable: true
+                }, (progress, token) => run(token));
+
+            if (this.current !== query) return true;
+            this.commits = commits.slice(0, page.size);
+            this.hasMore = commits.length > page.size;
+            this.links = links;
+            this.repository = repository;
+        } catch (error) {
+            if (error instanceof GitCancelledError) return false;
+            if (this.current !== query) return true;
+            this.commits = [];
+            this.message = `Error: ${error.message}`;
+            if (!silent) vscode.window.showErrorMessage(this.message);
+        } finally {
+            if (this.pending === source) this.pending = null;
+            source.dispose();
+        }
+
+        this.render();
+        this.updateAnalytics();
+        this.updateContainment();
+        if (!this.message) this.didShowHistory.fire({ query, commits: this.commits });
+        return true;
+    }
+
+    /**
+     * Fetch the next page of the current query and append it
+     */
+    async loadMore() {
+        const query = this.current;
+        if (!query || !this.hasMore || this.pending) return;
+
+        const source = new vscode.CancellationTokenSource();
+        this.pending = source;
+        const page = this.pageAfter(query, this.commits.length);
+
+        try {
+            const commits = await this.runQuery(query, { token: source.token, skip: page.skip, maxCommits: page.maxCommits });
+            if (this.current !== query) return;
+            this.commits = this.commits.concat(commits.slice(0, page.size));
+            this.hasMore = commits.length > page.size;
+            this.resetAnalytics();
+            this.didShowHistory.fire({ query, commits: this.commits });
+        } catch (error) {
+            // A cancelled page means a newer query is being rendered
+            if (error instanceof GitCancelledError) return;
+            vscode.window.showErrorMessage(`Error: ${error.message}`);
+        } finally {
+            if (this.pending === source) this.pending = null;
+            source.dispose();
+        }
+
+        this.render();
+        this.updateAnalytics();
+        this.updateContainment();
+    }
+
+    /**
+     * Show the current query's history from another branch, tag or commit
+     */
+    async chooseRevision() {
+        const query = this.current;
+        if (!query) return;
+
+        const revision = await this.pickRevision(query);
+        if (revision === undefined || this.current !== query) return;
+        await this.show({ ...query, revision: revision || undefined, followed: false });
+    }
+
+    /**
+     * Show the current history with or without the commits the settings
+     * ignore (reformatting commits, whitespace-only changes)
+     */
+    async setShowIgnored(value) {
+        const query = this.current;
+        if (!query) return;
+        await this.show({ ...query, showIgnored: !!value || undefined }, { replace: true });
+    }
+
+    /**
+     * Export the commits loaded for the current query
+     */
+    async exportHistory() {
+        const query = this.current;
+        if (!query || !this.commits || this.commits.length === 0) {
+            vscode.window.showInformationMessage('No history to export. Run "Show Line History" or "Show Function History" first.');
+            return;
+        }
+        await this.onExport(query, this.commits, {
+            links: this.links,
+            repository: this.repository,
+            complete: !this.hasMore
+        });
+    }
+
+    showTab(tab) {
+        this.tab = tab === 'analytics' ? 'analytics' : 'commits';
+        this.render();
+        this.updateAnalytics();
+    }
+
+    /**
+     * Compute analytics for the loaded commits while the analytics tab is
+     * open. Commit counts come from the diffs; ownership needs a git blame.
+     */
+    async updateAnalytics() {
+        const query = this.current;
+        const commits = this.commits;
+        if (this.tab !== 'analytics' || !query || !commits || commits.length === 0 ||
+            this.analytics || this.analyticsMessage || this.pendingAnalytics) return;
+
+        const source = new vscode.CancellationTokenSource();
+        this.pendingAnalytics = source;
+
+        try {
+            const analytics = await this.runAnalytics(query, commits, { token: source.token });
+            if (this.commits !== commits) return;
+            this.analytics = analytics;
+        } catch (error) {
+            if (error instanceof GitCancelledError || this.commits !== commits) return;
+            this.analyticsMessage = `Error: ${error.message}`;
+        } finally {
+            if (this.pendingAnalytics === source) this.pendingAnalytics = null;
+            source.dispose();
+        }
+
+        this.render();
+    }
+
+    /**
+     * Look up the branches and tags containing the loaded commits that
+     * haven't been looked up yet, e.g. after another page was loaded
+     */
+    async updateContainment() {
+        const query = this.current;
+        const commits = this.commits;
+        if (!query || !commits || this.pendingContainment) return;
+
+        const known = this.containment ? this.containment.commits : {};
+        const missing = commits.filter(commit => !commit.uncommitted && !known[commit.hash]);
+        if (missing.length === 0) return;
+
+        const source = new vscode.CancellationTokenSource();
+        this.pendingContainment = source;
+
+        try {
+            const containment = await this.resolveContainment(query, missing, { token: source.token });
+            if (this.current !== query || !containment) return;
+            this.containment = {
+                base: containment.base,
+                commits: { ...known, ...containment.commits }
+            };
+        } catch (error) {
+            // Branch names are extra information: the history stands without them
+            return;
+        } finally {
+            if (this.pendingContainment === source) this.pendingContainment = null;
+            source.dispose();
+        }
+
+        this.render();
+        this.updateContainment();
+    }
+
+    resetContainment() {
+        if (this.pendingContainment) this.pendingContainment.cancel();
+        this.pendingContainment = null;
+        this.containment = null;
+    }
+
+    resetAnalytics() {
+        if (this.pendingAnalytics) this.pendingAnalytics.cancel();
+        this.pendingAnalytics = null;
+        this.analytics = null;
+        this.analyticsMessage = null;
+    }
+
+    /**
+     * The page that follows `loaded` commits, capped by
+     * `codeHistoryTracker.maxCommits`. One extra commit is requested to
+     * learn whether there is a page after it.
+     */
+    pageAfter(query, loaded) {
+        const total = this.config(query).get('maxCommits', 0);
+        const remaining = total > 0 ? Math.max(total - loaded, 0) : Infinity;
+        const size = Math.min(PAGE_SIZE, remaining);
+        return { skip: loaded, size, maxCommits: remaining > size ? size + 1 : size };
+    }
+
+    /**
+     * Settings for a query's file, language-specific overrides included
+     * whether or not the file is open
+     */
+    config(query) {
+        if (!query || !query.filePath) return vscode.workspace.getConfiguration('codeHistoryTracker');
+        const document = vscode.workspace.textDocuments.find(candidate => candidate.fileName === query.filePath);
+        return vscode.workspace.getConfiguration('codeHistoryTracker', {
+            uri: vscode.Uri.file(query.filePath),
+            languageId: document ? document.languageId : languageForFile(query.filePath) || undefined
+        });
+    }
+
+    /**
+     * Make sure the panel or sidebar view exists and is visible
+     */
+    async reveal(preserveFocus) {
+        if (this.location === 'sidebar') {
+            if (this.view) {
+                this.view.show(preserveFocus);
+            } else {
+                await vscode.commands.executeCommand(`${SIDEBAR_VIEW_ID}.focus`);
+            }
+            return;
+        }
+
+        if (this.panel) {
+            if (!this.panel.visible) this.panel.reveal(undefined, preserveFocus);
+            return;
+        }
+
+        const panel = vscode.window.createWebviewPanel(
+            PANEL_VIEW_TYPE,
+            'Code History',
+            { viewColumn: vscode.ViewColumn.Beside, preserveFocus },
+            { enableScripts: true }
+        );
+        this.attachPanel(panel);
+    }
+
+    attachPanel(panel) {
+        this.panel = panel;
+        panel.webview.options = { enableScripts: true };
+        panel.webview.onDidReceiveMessage(message => this.handleMessage(message), null, this.context.subscriptions);
+        panel.onDidDispose(() => {
+            if (this.panel === panel) this.panel = null;
+        }, null, this.context.subscriptions);
+    }
+
+    /**
+     * WebviewViewProvider: the sidebar view became visible
+     */
+    resolveWebviewView(webviewView, resolveContext) {
+        this.view = webviewView;
+        webviewView.webview.options = { enableScripts: true };
+        webviewView.webview.onDidReceiveMessage(message => this.handleMessage(message), null, this.context.subscriptions);
+        webviewView.onDidDispose(() => {
+            if (this.view === webviewView) this.view = null;
+        }, null, this.context.subscriptions);
+
+        if (!this.current && this.restoreState(resolveContext.state)) {
+            this.refresh({ silent: true });
+        } else {
+            this.render();
+        }
+    }
+
+    /**
+     * WebviewPanelSerializer: restore the editor panel after a reload
+     */
+    async deserializeWebviewPanel(panel, state) {
+        if (this.panel) this.panel.dispose();
+        this.attachPanel(panel);
+
+        if (!this.current) this.restoreState(state);
+        await this.refresh({ silent: true });
+    }
+
+    restoreState(state) {
+        if (!state || !Array.isArray(state.entries) || state.entries.length === 0) return false;
+        this.entries = state.entries;
+        this.index = Math.min(Math.max(state.index, 0), state.entries.length - 1);
+        this.filters = state.filters || {};
+        return true;
+    }
+
+    /**
+     * Refresh line history for the selection after it settles
+     */
+    onSelectionChanged(editor) {
+        if (!this.followCursor || !this.isVisible() || !editor || editor.document.uri.scheme !== 'file') return;
+
+        clearTimeout(this.followTimer);
+        this.followTimer = setTimeout(() => {
+            const query = this.followQuery(editor);
+            if (!query) return;
+            query.followed = true;
+            // Keep following from the revision picked for the view
+            if (this.current && this.current.revision && this.current.revision !== ALL_REVISIONS) {
+                query.revision = this.current.revision;
+            }
+            if (this.current && this.current.showIgnored) query.showIgnored = true;
+            this.show(query, { replace: !!(this.current && this.current.followed), silent: true });
+        }, FOLLOW_DELAY);
+    }
+
+    isVisible() {
+        return this.location === 'sidebar'
+            ? !!(this.view && this.view.visible)
+            : !!(this.panel && this.panel.visible);
+    }
+
+    handleMessage(message) {
+        switch (message.command) {
+            case 'back':
+                this.back();
+                return;
+            case 'forward':
+                this.forward();
+                return;
+            case 'setFollowCursor':
+                this.setFollowCursor(message.value);
+                return;
+            case 'setShowIgnored':
+                this.setShowIgnored(message.value);
+                return;
+            case 'loadMore':
+                this.loadMore();
+                return;
+            case 'showTab':
+                this.showTab(message.value);
+                return;
+            case 'chooseRevision':
+                this.chooseRevision().catch(error => {
+                    vscode.window.showErrorMessage(`Error: ${error.message}`);
+                });
+                return;
+            case 'exportHistory':
+                this.exportHistory().catch(error => {
+                    vscode.window.showErrorMessage(`Error: ${error.message}`);
+                });
+                return;
+            case 'setFilters':
+                this.filters = message.value || {};
+                return;
+            default:
+                Promise.resolve(this.onCommitAction(message, this.commits || [], this.current)).catch(error => {
+                    vscode.window.showErrorMessage(`Error: ${error.message}`);
+                });
+        }
+    }
+
+    render() {
+        const webview = this.location === 'sidebar'
+            ? this.view && this.view.webview
+            : this.panel && this.panel.webview;
+        if (!webview) return;
+
+        const query = this.current;
+        const title = !query ? 'Code History' : query.revision ? `${query.title} @ ${formatRevision(query.revision)}` : query.title;
+        if (this.panel && this.location !== 'sidebar') this.panel.title = title;
+
+        const config = this.config(query);
+        webview.html = formatCommitsHTML(query ? this.commits : [], title, {
+            nonce: crypto.randomBytes(16).toString('base64'),
+            dateFormat: config.get('dateFormat', 'relative'),
+            showDiff: config.get('includeDiff', true),
+            filters: this.filters,
+            hasMore: !!(query && this.hasMore),
+            tab: this.tab,
+            analytics: this.analytics,
+            analyticsMessage: this.analyticsMessage,
+            links: this.links,
+            repository: this.repository,
+            containment: this.containment,
+            compareVersions: !!(query && query.type === 'function'),
+            emptyMessage: query ? this.message : 'Run "Show Line History" or "Show Function History" to see commits here.',
+            navigation: {
+                canGoBack: this.index > 0,
+                canGoForward: this.index < this.entries.length - 1,
+                followCursor: this.followCursor,
+                canExport: !!(query && this.commits && this.commits.length),
+                revision: query ? query.revision : undefined,
+                // Searches and file histories list every commit they find
+                canShowIgnored: !!(query && IGNORING_QUERY_TYPES.has(query.type)),
+                showIgnored: !!(query && query.showIgnored),
+                // Moved code histories start from the commit the code came from
+                canChooseRevision: !!(query && query.type !== 'origin')
+            },
+            state: { entries: this.entries, index: this.index, filters: this.filters }
+        });
+    }
+
+    dispose() {
+        clearTimeout(this.followTimer);
+        if (this.pending) this.pending.cancel();
+        this.resetAnalytics();
+        this.resetContainment();
+        this.didShowHistory.dispose();
+        if (this.panel) this.panel.dispose();
+    }
+}
+
+module.exports = {
+    PANEL_VIEW_TYPE,
+    SIDEBAR_VIEW_ID,
+    HistoryView
+};
@@ -0,0 +1,146 @@
+/**
+ * Above this many edits the diff gives up and reports everything between
+ * the common prefix and suffix as one changed region
+ */
+const MAX_EDITS = 1000;
+
+/**
+ * Split file contents into lines, ignoring line-ending style and the final
+ * newline
+ */
+function splitLines(text) {
+    const lines = text.split(/\r?\n/);
+    if (lines.length && lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+/**
+ * Diff two arrays of lines (Myers' algorithm).
+ *
+ * Returns the changed regions in order as `{ oldStart, oldCount, newStart,
+ * newCount }`, with 0-based starts. A region with `newCount` 0 is a
+ * deletion, one with `oldCount` 0 an insertion.
+ */
+function diffLines(oldLines, newLines) {
+    // Most edits are local: only diff what lies between the common prefix and suffix
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) start++;
+
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    const a = oldLines.slice(start, oldEnd);
+    const b = newLines.slice(start, newEnd);
+    if (a.length === 0 && b.length === 0) return [];
+
+    const matches = matchLines(a, b);
+    if (!matches) {
+        return [{ oldStart: start, oldCount: a.length, newStart: start, newCount: b.length }];
+    }
+
+    const regions = [];
+    let previous = [-1, -1];
+    for (const match of matches.concat([[a.length, b.length]])) {
+        const oldCount = match[0] - previous[0] - 1;
+        const newCount = match[1] - previous[1] - 1;
+        if (oldCount > 0 || newCount > 0) {
+            regions.push({ oldStart: start + previous[0] + 1, oldCount, newStart: start + previous[1] + 1, newCount });
+        }
+        previous = match;
+    }
+    return regions;
+}
+
+/**
+ * Pairs `[oldIndex, newIndex]` of equal lines on a shortest edit path,
+ * in order, or null when that path needs more than MAX_EDITS edits
+ */
+function matchLines(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = Math.min(n + m, MAX_EDITS);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+        trace.push(v.slice());
+        for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+
+            if (x >= n && y >= m) {
+                return backtrack(trace, offset, n, m);
+            }
+        }
+    }
+
+    return null;
+}
+
+function backtrack(trace, offset, n, m) {
+    const matches = [];
+    let x = n;
+    let y = m;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const v = trace[d];
+        const k = x - y;
+        const previousK = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? k + 1 : k - 1;
+        const previousX = d === 0 ? 0 : v[offset + previousK];
+        const previousY = d === 0 ? 0 : previousX - previousK;
+
+        while (x > previousX && y > previousY) {
+            x--;
+            y--;
+            matches.push([x, y]);
+        }
+        x = previousX;
+        y = previousY;
+    }
+
+    return matches.reverse();
+}
+
+/**
+ * Map a 0-based line of the new side of a diff to the old side. Returns
+ * null for lines the diff added or changed.
+ */
+function mapLineToOld(regions, newLine) {
+    let shift = 0;
+    for (const region of regions) {
+        if (newLine < region.newStart) break;
+        if (newLine < region.newStart + region.newCount) return null;
+        shift += region.oldCount - region.newCount;
+    }
+    return newLine + shift;
+}
+
+/**
+ * The old lines a changed 0-based line of the new side replaced, as
+ * 0-based `[first, last]`. Returns null for unchanged lines and for lines
+ * the diff only added.
+ */
+function mapChangedLineToOld(regions, newLine) {
+    const region = regions.find(region => newLine >= region.newStart && newLine < region.newStart + region.newCount);
+    if (!region || region.oldCount === 0) return null;
+    return [region.oldStart, region.oldStart + region.oldCount - 1];
+}
+
+module.exports = {
+    splitLines,
+    diffLines,
+    mapLineToOld,
+    mapChangedLineToOld
+};
@@ -0,0 +1,1529 @@
+const { commitLink, linkify } = require('./autolinks');
+const { ALL_REVISIONS } = require('./git');
+
+/**
+ * Branches and tags listed per commit before the rest are counted
+ */
+const MAX_CONTAINING_REFS = 5;
+
+/**
+ * Lines of the newest diff shown in the line hover
+ */
+const MAX_HOVER_DIFF_LINES = 12;
+
+/**
+ * Background colors of author chips, picked by the author's name so an
+ * author keeps one color everywhere
+ */
+const AUTHOR_COLORS = ['#b31d28', '#c24e00', '#8a6d00', '#22863a', '#0366d6', '#5a32a3', '#b93a86', '#1b7c83', '#6a737d', '#735c0f'];
+
+/**
+ * Light theme values for the VS Code colors the page uses, so an exported
+ * page looks like the panel in a browser
+ */
+const STANDALONE_THEME = `
+    :root {
+        --vscode-font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif;
+        --vscode-editor-font-family: Menlo, Consolas, "Courier New", monospace;
+        --vscode-foreground: #3b3b3b;
+        --vscode-editor-foreground: #3b3b3b;
+        --vscode-editor-background: #ffffff;
+        --vscode-editor-inactiveSelectionBackground: #f3f3f3;
+        --vscode-descriptionForeground: #717171;
+        --vscode-panel-border: #e5e5e5;
+        --vscode-badge-background: #cccccc;
+        --vscode-badge-foreground: #3b3b3b;
+        --vscode-charts-blue: #1a85ff;
+        --vscode-charts-purple: #652d90;
+        --vscode-textLink-foreground: #005fb8;
+        --vscode-textLink-activeForeground: #005fb8;
+        --vscode-textCodeBlock-background: #f0f0f0;
+        --vscode-gitDecoration-addedResourceForeground: #587c0c;
+        --vscode-gitDecoration-deletedResourceForeground: #ad0707;
+        --vscode-gitDecoration-renamedResourceForeground: #007100;
+        --vscode-list-hoverBackground: #f2f2f2;
+    }
+`;
+
+/**
+ * Format line ranges for display, e.g. "3-7, 12"
+ */
+function formatLineRanges(ranges) {
+    return ranges.map(([start, end]) => start === end ? `${start}` : `${start}-${end}`).join(', ');
+}
+
+/**
+ * Name a history's starting revision: "HEAD" when none was chosen, "all
+ * branches" for ALL_REVISIONS
+ */
+function formatRevision(revision) {
+    if (!revision) return 'HEAD';
+    return revision === ALL_REVISIONS ? 'all branches' : revision;
+}
+
+/**
+ * Format commits for display in webview.
+ *
+ * With `options.nonce`, the page gets per-commit action buttons and a
+ * script (allowed by that nonce) that posts `{ command, hash }` messages
+ * back to the extension. Without it the page is static HTML.
+ * `options.navigation` (`{ canGoBack, canGoForward, followCursor,
+ * canExport, revision, canChooseRevision, canShowIgnored, showIgnored }`)
+ * adds the toolbar, and `options.state` is handed to the
+ * webview's setState so the panel can be restored after a reload. Passing `null`
+ * commits renders a loading state; `options.emptyMessage` replaces the
+ * text shown when there are no commits. `options.dateFormat` is passed to
+ * formatDate and `options.showDiff: false` leaves out the diffs.
+ *
+ * Interactive pages also get a filter bar (author, date range, message
+ * text or regex, merges, bots, sort order) that hides cards in the page
+ * itself and reports its values back as `{ command: 'setFilters', value }`;
+ * `options.filters` pre-fills it. `options.hasMore` adds a "Load more"
+ * button posting `{ command: 'loadMore' }`.
+ *
+ * `options.tab` is `commits` (the default) or `analytics`; the analytics
+ * tab shows `options.analytics` (see buildAnalytics), or
+ * `options.analyticsMessage` while it can't.
+ *
+ * `options.links` (see buildLinks) turns issue references and hashes in
+ * commit messages, and each commit's own hash, into links.
+ * `options.compareVersions` (function histories) lets two commits be
+ * picked for `{ command: 'compareFunction', hash, value }` (newer and older
+ * hash) and adds a time slider posting `{ command: 'showFunctionVersion',
+ * hash }` for each step.
+ *
+ * `options.containment` (`{ base, commits }`, see resolveQueryContainment)
+ * lists the branches and tags containing each commit, marks commits not
+ * in the base branch yet and adds a filter for them.
+ *
+ * `options.repository` (`{ label, root }`) names the repository in the
+ * header and `options.details` (`[{ label, value, code }]`) lists the query's
+ * parameters under the title. `options.standalone` fills in VS Code's
+ * theme colors for pages saved outside of it.
+ */
+function formatCommitsHTML(commits, title, options = {}) {
+    const {
+        nonce, navigation, state, emptyMessage, dateFormat, showDiff = true,
+        filters, hasMore, tab = 'commits', analytics, analyticsMessage, links, repository,
+        details, standalone, compareVersions, containment
+    } = options;
+    const showVersions = !!nonce && !!compareVersions;
+    const showAnalytics = !!nonce && tab === 'analytics';
+    const csp = nonce
+        ? `<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; script-src 'nonce-${nonce}';">`
+        : '';
+    
+    const cards = {
+        // Only label paths when the history spans a rename or moved code
+        showPaths: new Set((commits || []).map(commit => commit.path).filter(Boolean)).size > 1,
+        links,
+        dateFormat,
+        containment,
+        showDiff,
+        showActions: !!nonce,
+        compareVersions: showVersions
+    };
+    
+    return `
+        <!DOCTYPE html>
+        <html lang="en">
+        <head>
+            <meta charset="UTF-8">
+            <meta name="viewport" content="width=device-width, initial-scale=1.0">
+            ${csp}
+            <title>${escapeHTML(title)}</title>
+            ${standalone ? `<style>${STANDALONE_THEME}</style>` : ''}
+            <style>${PAGE_STYLE}</style>
+        </head>
+        <body>
+            ${formatHeader(commits, title, {
+                navigation,
+                repository,
+                details,
+                hasMore,
+                filters: nonce && !showAnalytics ? filters || {} : null,
+                base: containment && containment.base
+            })}
+            
+            ${commits && commits.length ? `
+                ${nonce ? formatTabs(showAnalytics ? 'analytics' : 'commits') : ''}
+                ${showAnalytics ? formatAnalytics(analytics, analyticsMessage, commits.length, dateFormat) : `
+                    ${showVersions ? formatVersionBar(commits) : ''}
+                    <div class="commits-list">
+                        ${commits.map((commit, index) => formatCommitCard(commit, index, commits.length, cards)).join('')}
+                    </div>
+                `}
+                ${hasMore ? '<button class="load-more" data-action="loadMore" title="Fetch the next commits from git">Load more</button>' : ''}
+            ` : `
+                <div class="no-results">
+                    <div class="no-results-icon">📝</div>
+                    <p class="no-results-text">${escapeHTML(commits ? emptyMessage || 'No commits found in history.' : 'Loading history...')}</p>
+                </div>
+            `}
+            ${nonce ? formatPageScript(nonce, state, showVersions) : ''}
+        </body>
+        </html>
+    `;
+}
+
+/**
+ * Styles of the history page, in the colors of VS Code's theme
+ */
+const PAGE_STYLE = `
+    * {
+        margin: 0;
+        padding: 0;
+        box-sizing: border-box;
+    }
+    
+    body { 
+        font-family: var(--vscode-font-family), -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif;
+        padding: 24px;
+        color: var(--vscode-foreground);
+        background-color: var(--vscode-editor-background);
+        line-height: 1.6;
+    }
+    
+    .header {
+        margin-bottom: 24px;
+        padding-bottom: 16px;
+        border-bottom: 1px solid var(--vscode-panel-border);
+    }
+    
+    h1 {
+        font-size: 20px;
+        font-weight: 600;
+        color: var(--vscode-foreground);
+        margin-bottom: 8px;
+    }
+    
+    .repository {
+        font-size: 12px;
+        color: var(--vscode-descriptionForeground);
+        margin-bottom: 8px;
+    }
+    
+    .query-details {
+        display: grid;
+        grid-template-columns: max-content 1fr;
+        gap: 2px 12px;
+        font-size: 12px;
+        margin-bottom: 12px;
+    }
+    
+    .query-details dt {
+        color: var(--vscode-descriptionForeground);
+    }
+    
+    .query-details dd {
+        white-space: pre-wrap;
+        word-break: break-all;
+    }
+    
+    .toolbar {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        margin-bottom: 12px;
+    }
+    
+    .toolbar button {
+        font-family: inherit;
+        font-size: 12px;
+        min-width: 26px;
+        padding: 2px 6px;
+        border: none;
+        border-radius: 3px;
+        cursor: pointer;
+        color: var(--vscode-foreground);
+        background: transparent;
+    }
+    
+    .toolbar button:hover:not(:disabled) {
+        background-color: var(--vscode-toolbar-hoverBackground);
+    }
+    
+    .toolbar .export {
+        margin-left: auto;
+    }
+    
+    .toolbar .revision {
+        max-width: 40%;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+    }
+    
+    .toolbar button:disabled {
+        opacity: 0.4;
+        cursor: default;
+    }
+    
+    .follow-toggle,
+    .ignored-toggle {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        font-size: 12px;
+        color: var(--vscode-descriptionForeground);
+        cursor: pointer;
+    }
+    
+    .follow-toggle {
+        margin-left: auto;
+    }
+    
+    .filters {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 8px;
+        margin-top: 12px;
+        font-size: 12px;
+        color: var(--vscode-descriptionForeground);
+    }
+    
+    .filters input[type="text"],
+    .filters input[type="date"],
+    .filters select {
+        font-family: inherit;
+        font-size: 12px;
+        padding: 2px 6px;
+        border: 1px solid var(--vscode-input-border, transparent);
+        border-radius: 2px;
+        color: var(--vscode-input-foreground);
+        background-color: var(--vscode-input-background);
+    }
+    
+    .filters input.invalid {
+        border-color: var(--vscode-inputValidation-errorBorder);
+    }
+    
+    .filters label {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        cursor: pointer;
+    }
+    
+    .filter-count {
+        margin-left: 8px;
+        font-size: 12px;
+        color: var(--vscode-descriptionForeground);
+    }
+    
+    .commit-card[hidden] {
+        display: none;
+    }
+    
+    .load-more {
+        display: block;
+        margin: 0 auto 16px;
+        font-family: inherit;
+        font-size: 12px;
+        padding: 4px 14px;
+        border: 1px solid var(--vscode-button-border, transparent);
+        border-radius: 3px;
+        cursor: pointer;
+        color: var(--vscode-button-foreground);
+        background-color: var(--vscode-button-background);
+    }
+    
+    .load-more:hover:not(:disabled) {
+        background-color: var(--vscode-button-hoverBackground);
+    }
+    
+    .tabs {
+        display: flex;
+        gap: 4px;
+        margin-bottom: 16px;
+        border-bottom: 1px solid var(--vscode-panel-border);
+    }
+    
+    .tabs button {
+        font-family: inherit;
+        font-size: 12px;
+        padding: 4px 12px;
+        border: none;
+        border-bottom: 2px solid transparent;
+        cursor: pointer;
+        color: var(--vscode-descriptionForeground);
+        background: transparent;
+    }
+    
+    .tabs button.active {
+        color: var(--vscode-foreground);
+        border-bottom-color: var(--vscode-focusBorder);
+    }
+    
+    .analytics section {
+        margin-bottom: 24px;
+    }
+    
+    .analytics h2 {
+        font-size: 14px;
+        font-weight: 600;
+        margin-bottom: 8px;
+    }
+    
+    .analytics-note {
+        font-size: 12px;
+        color: var(--vscode-descriptionForeground);
+        margin-bottom: 16px;
+    }
+    
+    .analytics table {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: 12px;
+    }
+    
+    .analytics th,
+    .analytics td {
+        text-align: left;
+        padding: 4px 8px;
+        border-bottom: 1px solid var(--vscode-panel-border);
+    }
+    
+    .analytics td.number,
+    .analytics th.number {
+        text-align: right;
+        font-variant-numeric: tabular-nums;
+    }
+    
+    .analytics code {
+        font-family: 'Consolas', 'Monaco', monospace;
+        white-space: pre;
+    }
+    
+    .share-bar {
+        height: 6px;
+        min-width: 2px;
+        border-radius: 3px;
+        background-color: var(--vscode-charts-blue);
+    }
+    
+    .lines-added {
+        color: var(--vscode-gitDecoration-addedResourceForeground);
+    }
+    
+    .lines-removed {
+        color: var(--vscode-gitDecoration-deletedResourceForeground);
+    }
+    
+    .churn-chart {
+        display: block;
+        width: 100%;
+        height: 120px;
+    }
+    
+    .churn-chart .bar-added {
+        fill: var(--vscode-gitDecoration-addedResourceForeground);
+    }
+    
+    .churn-chart .bar-removed {
+        fill: var(--vscode-gitDecoration-deletedResourceForeground);
+    }
+    
+    .churn-axis {
+        display: flex;
+        justify-content: space-between;
+        font-size: 11px;
+        color: var(--vscode-descriptionForeground);
+    }
+    
+    .stats-badge {
+        display: inline-flex;
+        align-items: center;
+        gap: 6px;
+        background-color: var(--vscode-badge-background);
+        color: var(--vscode-badge-foreground);
+        padding: 4px 10px;
+        border-radius: 12px;
+        font-size: 12px;
+        font-weight: 500;
+    }
+    
+    .commit-card {
+        background-color: var(--vscode-editor-inactiveSelectionBackground);
+        border: 1px solid var(--vscode-panel-border);
+        border-left: 3px solid var(--vscode-charts-blue);
+        border-radius: 6px;
+        margin-bottom: 16px;
+        overflow: hidden;
+        transition: all 0.2s ease;
+    }
+    
+    .commit-card:hover {
+        border-left-color: var(--vscode-charts-purple);
+        box-shadow: 0 2px 8px rgba(0, 0, 0, 0.1);
+    }
+    
+    .commit-header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        padding: 12px 16px;
+        background-color: var(--vscode-sideBar-background);
+        border-bottom: 1px solid var(--vscode-panel-border);
+    }
+    
+    .commit-header-left {
+        display: flex;
+        align-items: center;
+        gap: 10px;
+        flex-wrap: wrap;
+    }
+    
+    .commit-number {
+        font-size: 11px;
+        font-weight: 600;
+        color: var(--vscode-descriptionForeground);
+        background-color: var(--vscode-input-background);
+        padding: 2px 6px;
+        border-radius: 4px;
+    }
+    
+    .commit-hash {
+        font-family: 'Consolas', 'Monaco', monospace;
+        font-size: 12px;
+        background-color: var(--vscode-textCodeBlock-background);
+        color: var(--vscode-textLink-foreground);
+        padding: 3px 8px;
+        border-radius: 4px;
+        font-weight: 500;
+    }
+    
+    a.commit-hash {
+        text-decoration: none;
+    }
+    
+    .commit-message a,
+    .commit-message-body a {
+        color: var(--vscode-textLink-foreground);
+        text-decoration: none;
+    }
+    
+    .commit-message a:hover,
+    .commit-message-body a:hover,
+    a.commit-hash:hover {
+        text-decoration: underline;
+    }
+    
+    .commit-branch {
+        font-size: 11px;
+        color: var(--vscode-descriptionForeground);
+        background-color: var(--vscode-input-background);
+        padding: 2px 8px;
+        border-radius: 10px;
+    }
+    
+    .commit-path {
+        font-family: 'Consolas', 'Monaco', monospace;
+        font-size: 11px;
+        color: var(--vscode-descriptionForeground);
+    }
+    
+    .commit-moved {
+        font-size: 11px;
+        color: var(--vscode-gitDecoration-renamedResourceForeground);
+        background-color: var(--vscode-input-background);
+        padding: 2px 8px;
+        border-radius: 10px;
+    }
+    
+    .commit-tag {
+        font-size: 11px;
+        color: var(--vscode-descriptionForeground);
+        border: 1px solid var(--vscode-panel-border);
+        padding: 1px 7px;
+        border-radius: 10px;
+    }
+    
+    .commit-not-in-base {
+        font-size: 11px;
+        color: var(--vscode-gitDecoration-addedResourceForeground);
+        border: 1px solid currentColor;
+        padding: 1px 7px;
+        border-radius: 10px;
+    }
+    
+    .commit-containment {
+        margin-top: 4px;
+        font-size: 11px;
+        color: var(--vscode-descriptionForeground);
+    }
+    
+    .commit-ranges {
+        font-size: 11px;
+        color: var(--vscode-badge-foreground);
+        background-color: var(--vscode-badge-background);
+        padding: 2px 8px;
+        border-radius: 10px;
+    }
+    
+    .commit-date {
+        font-size: 12px;
+        color: var(--vscode-descriptionForeground);
+        display: flex;
+        align-items: center;
+        gap: 4px;
+    }
+    
+    .commit-body {
+        padding: 16px;
+    }
+    
+    .commit-message {
+        font-size: 14px;
+        font-weight: 500;
+        color: var(--vscode-foreground);
+        margin-bottom: 12px;
+        line-height: 1.5;
+    }
+    
+    .commit-message-body {
+        font-size: 13px;
+        color: var(--vscode-descriptionForeground);
+        white-space: pre-wrap;
+        margin-top: -4px;
+        margin-bottom: 12px;
+    }
+    
+    .commit-author {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        font-size: 12px;
+        color: var(--vscode-descriptionForeground);
+    }
+    
+    .author-icon {
+        opacity: 0.7;
+    }
+    
+    .author-name {
+        font-weight: 500;
+    }
+    
+    .committer-name {
+        opacity: 0.8;
+    }
+    
+    .commit-actions {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 6px;
+        margin-top: 12px;
+    }
+    
+    .commit-actions button {
+        font-family: inherit;
+        font-size: 12px;
+        padding: 3px 10px;
+        border: 1px solid var(--vscode-button-border, transparent);
+        border-radius: 3px;
+        cursor: pointer;
+        color: var(--vscode-button-secondaryForeground);
+        background-color: var(--vscode-button-secondaryBackground);
+    }
+    
+    .commit-actions button:hover {
+        background-color: var(--vscode-button-secondaryHoverBackground);
+    }
+    
+    .compare-select {
+        display: inline-flex;
+        align-items: center;
+        gap: 4px;
+        font-size: 12px;
+        color: var(--vscode-descriptionForeground);
+        cursor: pointer;
+    }
+    
+    .version-bar {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 8px 16px;
+        margin-bottom: 16px;
+        font-size: 12px;
+    }
+    
+    .version-bar button {
+        font-family: inherit;
+        font-size: 12px;
+        padding: 2px 8px;
+        border: 1px solid var(--vscode-button-border, transparent);
+        border-radius: 3px;
+        cursor: pointer;
+        color: var(--vscode-button-secondaryForeground);
+        background-color: var(--vscode-button-secondaryBackground);
+    }
+    
+    .version-bar button:disabled {
+        opacity: 0.5;
+        cursor: default;
+    }
+    
+    .time-slider {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+    }
+    
+    .version-label {
+        color: var(--vscode-descriptionForeground);
+    }
+    
+    .commit-files {
+        list-style: none;
+        padding: 0 16px 12px;
+        font-family: 'Consolas', 'Monaco', monospace;
+        font-size: 12px;
+        color: var(--vscode-descriptionForeground);
+    }
+    
+    .commit-files li {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 2px 0;
+    }
+    
+    .file-status {
+        display: inline-block;
+        min-width: 16px;
+        text-align: center;
+        font-weight: 600;
+        border-radius: 3px;
+        color: var(--vscode-badge-foreground);
+        background-color: var(--vscode-badge-background);
+    }
+    
+    .file-status-A {
+        background-color: var(--vscode-gitDecoration-addedResourceForeground);
+    }
+    
+    .file-status-D {
+        background-color: var(--vscode-gitDecoration-deletedResourceForeground);
+    }
+    
+    .file-status-R {
+        background-color: var(--vscode-gitDecoration-renamedResourceForeground);
+    }
+    
+    .commit-diff {
+        margin-top: 12px;
+        border-top: 1px solid var(--vscode-panel-border);
+    }
+    
+    .diff-summary {
+        padding: 10px 16px;
+        cursor: pointer;
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        font-size: 12px;
+        color: var(--vscode-textLink-foreground);
+        background-color: var(--vscode-editor-background);
+        transition: all 0.2s ease;
+        user-select: none;
+    }
+    
+    .diff-summary:hover {
+        background-color: var(--vscode-list-hoverBackground);
+        color: var(--vscode-textLink-activeForeground);
+    }
+    
+    .diff-icon {
+        flex-shrink: 0;
+    }
+    
+    .chevron {
+        margin-left: auto;
+        transition: transform 0.2s ease;
+        opacity: 0.7;
+    }
+    
+    details[open] .chevron {
+        transform: rotate(180deg);
+    }
+    
+    .diff-content {
+        background-color: var(--vscode-textCodeBlock-background);
+        padding: 16px;
+        margin: 0;
+        overflow-x: auto;
+        font-family: 'Consolas', 'Monaco', monospace;
+        font-size: 11px;
+        line-height: 1.5;
+        color: var(--vscode-editor-foreground);
+        border-top: 1px solid var(--vscode-panel-border);
+    }
+    
+    .diff-content code {
+        font-family: inherit;
+    }
+    
+    /* Scrollbar styling */
+    ::-webkit-scrollbar {
+        width: 10px;
+        height: 10px;
+    }
+    
+    ::-webkit-scrollbar-track {
+        background: var(--vscode-editor-background);
+    }
+    
+    ::-webkit-scrollbar-thumb {
+        background: var(--vscode-scrollbarSlider-background);
+        border-radius: 5px;
+    }
+    
+    ::-webkit-scrollbar-thumb:hover {
+        background: var(--vscode-scrollbarSlider-hoverBackground);
+    }
+    
+    /* Empty state */
+    .no-results {
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        justify-content: center;
+        padding: 60px 20px;
+        text-align: center;
+    }
+    
+    .no-results-icon {
+        font-size: 48px;
+        margin-bottom: 16px;
+        opacity: 0.5;
+    }
+    
+    .no-results-text {
+        color: var(--vscode-descriptionForeground);
+        font-size: 14px;
+    }
+`;
+
+/**
+ * Title, repository, query details, commit count and, when `filters` is
+ * given, the filter bar
+ */
+function formatHeader(commits, title, { navigation, repository, details, hasMore, filters, base }) {
+    return `
+        <div class="header">
+            ${navigation ? formatToolbar(navigation) : ''}
+            <h1>${escapeHTML(title)}</h1>
+            ${repository ? `<p class="repository" title="${escapeHTML(repository.root)}">📁 ${escapeHTML(repository.label)}</p>` : ''}
+            ${details && details.length ? `
+                <dl class="query-details">
+                    ${details.map(detail => `<dt>${escapeHTML(detail.label)}</dt><dd>${detail.code ? `<code>${escapeHTML(detail.value)}</code>` : escapeHTML(detail.value)}</dd>`).join('')}
+                </dl>
+            ` : ''}
+            ${commits && commits.length ? `
+                <div class="stats-badge">
+                    <svg width="14" height="14" viewBox="0 0 16 16" fill="currentColor">
+                        <path d="M8 15A7 7 0 1 1 8 1a7 7 0 0 1 0 14zm0 1A8 8 0 1 0 8 0a8 8 0 0 0 0 16z"/>
+                        <path d="M5.255 5.786a.237.237 0 0 0 .241.247h.825c.138 0 .248-.113.266-.25.09-.656.54-1.134 1.342-1.134.686 0 1.314.343 1.314 1.168 0 .635-.374.927-.965 1.371-.673.489-1.206 1.06-1.168 1.987l.003.217a.25.25 0 0 0 .25.246h.811a.25.25 0 0 0 .25-.25v-.105c0-.718.273-.927 1.01-1.486.609-.463 1.244-.977 1.244-2.056 0-1.511-1.276-2.241-2.673-2.241-1.267 0-2.655.59-2.75 2.286zm1.557 5.763c0 .533.425.927 1.01.927.609 0 1.028-.394 1.028-.927 0-.552-.42-.94-1.029-.94-.584 0-1.009.388-1.009.94z"/>
+                    </svg>
+                    <span>Found ${commits.length}${hasMore ? '+' : ''} commit${commits.length !== 1 ? 's' : ''}</span>
+                </div>
+                <span class="filter-count"></span>
+                ${filters ? formatFilters(filters, commits, base) : ''}
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * One commit card. `count` is the number of commits in the list, for the
+ * card's number; `view` holds what applies to every card (showPaths,
+ * links, dateFormat, containment, showDiff, showActions,
+ * compareVersions).
+ */
+function formatCommitCard(commit, index, count, view) {
+    const { showPaths, links, dateFormat, containment, showDiff, showActions, compareVersions } = view;
+    const notInBase = isNotInBase(containment, commit);
+    
+    return `
+        <div class="commit-card"
+            data-index="${index}"
+            data-author="${escapeHTML(`${commit.author.name} ${commit.author.email}`.toLowerCase())}"
+            data-date="${escapeHTML(commit.author.date)}"
+            data-message="${escapeHTML(commit.body ? `${commit.subject}\n\n${commit.body}` : commit.subject)}"
+            ${commit.parents.length > 1 ? 'data-merge' : ''}
+            ${isBotAuthor(commit.author) ? 'data-bot' : ''}
+            ${notInBase ? 'data-not-in-base' : ''}>
+            <div class="commit-header">
+                <div class="commit-header-left">
+                    <span class="commit-number">#${count - index}</span>
+                    ${formatCommitHash(commit, links)}
+                    ${showPaths && commit.path ? `<span class="commit-path" title="File path at this commit">📄 ${escapeHTML(commit.path)}</span>` : ''}
+                    ${commit.movedFrom ? `<span class="commit-moved" title="Lines ${commit.movedFrom.lines[0]}-${commit.movedFrom.lines[1]} of ${escapeHTML(commit.movedFrom.path)} were later moved or copied into this file">↪ moved code</span>` : ''}
+                    ${commit.ranges ? `<span class="commit-ranges" title="Selected lines touched by this commit">Lines ${escapeHTML(formatLineRanges(commit.ranges))}</span>` : ''}
+                    ${formatRefs(commit.refs)}
+                    ${notInBase ? `<span class="commit-not-in-base" title="Not merged into ${escapeHTML(containment.base)} yet">not in ${escapeHTML(containment.base)}</span>` : ''}
+                </div>
+                <span class="commit-date" title="${escapeHTML(commit.author.date)}">📅 ${escapeHTML(formatDate(commit.author.date, dateFormat))}</span>
+            </div>
+            
+            <div class="commit-body">
+                <p class="commit-message">${linkifyHTML(commit.subject, links)}</p>
+                ${commit.body ? `<p class="commit-message-body">${linkifyHTML(commit.body, links)}</p>` : ''}
+                
+                <div class="commit-author">
+                    <svg class="author-icon" width="14" height="14" viewBox="0 0 16 16" fill="currentColor">
+                        <path d="M8 8a3 3 0 1 0 0-6 3 3 0 0 0 0 6zm2-3a2 2 0 1 1-4 0 2 2 0 0 1 4 0zm4 8c0 1-1 1-1 1H3s-1 0-1-1 1-4 6-4 6 3 6 4zm-1-.004c-.001-.246-.154-.986-.832-1.664C11.516 10.68 10.289 10 8 10c-2.29 0-3.516.68-4.168 1.332-.678.678-.83 1.418-.832 1.664h10z"/>
+                    </svg>
+                    <span class="author-name" title="${escapeHTML(commit.author.email)}">${escapeHTML(commit.author.name)}</span>
+                    ${commit.committer.name !== commit.author.name ? `<span class="committer-name">· committed by ${escapeHTML(commit.committer.name)}</span>` : ''}
+                </div>
+                
+                ${containment && containment.commits[commit.hash] ? formatContainment(containment.commits[commit.hash]) : ''}
+                
+                ${showActions && !commit.uncommitted ? formatCommitActions(commit, compareVersions) : ''}
+            </div>
+            
+            ${commit.files && commit.files.length ? `
+                <ul class="commit-files">
+                    ${commit.files.map(file => `
+                        <li title="${escapeHTML(file.oldPath ? `${file.oldPath} → ${file.path}` : file.path)}">
+                            <span class="file-status file-status-${escapeHTML(file.status)}">${escapeHTML(file.status)}</span>
+                            ${escapeHTML(file.path)}
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+            
+            ${showDiff && commit.diff ? `
+                <details class="commit-diff">
+                    <summary class="diff-summary">
+                        <svg class="diff-icon" width="14" height="14" viewBox="0 0 16 16" fill="currentColor">
+                            <path d="M8.186 1.113a.5.5 0 0 0-.372 0L1.846 3.5 8 5.961 14.154 3.5 8.186 1.113zM15 4.239l-6.5 2.6v7.922l6.5-2.6V4.24zM7.5 14.762V6.838L1 4.239v7.923l6.5 2.6zM7.443.184a1.5 1.5 0 0 1 1.114 0l7.129 2.852A.5.5 0 0 1 16 3.5v8.662a1 1 0 0 1-.629.928l-7.185 2.874a.5.5 0 0 1-.372 0L.63 13.09a1 1 0 0 1-.63-.928V3.5a.5.5 0 0 1 .314-.464L7.443.184z"/>
+                        </svg>
+                        <span>View changes</span>
+                        <svg class="chevron" width="12" height="12" viewBox="0 0 16 16" fill="currentColor">
+                            <path fill-rule="evenodd" d="M1.646 4.646a.5.5 0 0 1 .708 0L8 10.293l5.646-5.647a.5.5 0 0 1 .708.708l-6 6a.5.5 0 0 1-.708 0l-6-6a.5.5 0 0 1 0-.708z"/>
+                        </svg>
+                    </summary>
+                    <pre class="diff-content"><code>${escapeHTML(commit.diff)}</code></pre>
+                </details>
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * A commit's short hash, linked to the hosting provider when there is one,
+ * or "working"/"staged" for uncommitted changes
+ */
+function formatCommitHash(commit, links) {
+    if (commit.uncommitted) {
+        const staged = commit.uncommitted === 'staged';
+        return `<code class="commit-hash" title="${staged ? 'Staged, not committed yet' : 'Not committed yet'}">${staged ? 'staged' : 'working'}</code>`;
+    }
+    
+    const url = commitLink(links, commit.hash);
+    return url
+        ? `<a class="commit-hash" href="${escapeHTML(url)}" title="Open ${escapeHTML(commit.hash)} on the hosting provider">${commit.hash.substring(0, 7)}</a>`
+        : `<code class="commit-hash" title="${escapeHTML(commit.hash)}">${commit.hash.substring(0, 7)}</code>`;
+}
+
+/**
+ * The interactive page's script, allowed by `nonce`: restores `state`, then
+ * runs the action, filter and (with `showVersions`) version bar scripts
+ */
+function formatPageScript(nonce, state, showVersions) {
+    return `
+        <script nonce="${nonce}">
+            const vscode = acquireVsCodeApi();
+            ${state ? `vscode.setState(${JSON.stringify(state).replace(/</g, '\\u003c')});` : ''}
+            ${ACTION_SCRIPT}
+            ${FILTER_SCRIPT}
+            ${showVersions ? VERSION_SCRIPT : ''}
+        </script>
+    `;
+}
+
+/**
+ * Webview script behind the buttons and toggles: each posts its action to
+ * the extension as `{ command, hash, value }`
+ */
+const ACTION_SCRIPT = `
+        document.addEventListener('click', event => {
+            const button = event.target.closest('[data-action]');
+            if (!button || button.disabled) return;
+            if (button.dataset.action === 'loadMore') {
+                button.disabled = true;
+                button.textContent = 'Loading...';
+            }
+            vscode.postMessage({ command: button.dataset.action, hash: button.dataset.hash, value: button.dataset.value });
+        });
+        document.addEventListener('change', event => {
+            const toggle = event.target.closest('[data-toggle]');
+            if (!toggle) return;
+            vscode.postMessage({ command: toggle.dataset.toggle, value: toggle.checked });
+        });
+`;
+
+/**
+ * Back/forward buttons, the follow-cursor and ignored-commits toggles and
+ * the revision picker
+ */
+function formatToolbar(navigation) {
+    return `
+        <div class="toolbar">
+            <button data-action="back" title="Back" ${navigation.canGoBack ? '' : 'disabled'}>◀</button>
+            <button data-action="forward" title="Forward" ${navigation.canGoForward ? '' : 'disabled'}>▶</button>
+            <label class="follow-toggle" title="Refresh line history when the selection changes">
+                <input type="checkbox" data-toggle="setFollowCursor" ${navigation.followCursor ? 'checked' : ''}>
+                Follow cursor
+            </label>
+            ${navigation.canShowIgnored ? `
+                <label class="ignored-toggle" title="Include the commits left out by the ignore-revs file, codeHistoryTracker.ignoreRevisions and codeHistoryTracker.ignoreWhitespace">
+                    <input type="checkbox" data-toggle="setShowIgnored" ${navigation.showIgnored ? 'checked' : ''}>
+                    Show ignored
+                </label>
+            ` : ''}
+            <button class="revision" data-action="chooseRevision" title="Show the history from another branch, tag or commit" ${navigation.canChooseRevision ? '' : 'disabled'}>⎇ ${escapeHTML(formatRevision(navigation.revision))}</button>
+            <button class="export" data-action="exportHistory" title="Save this history as Markdown, JSON or HTML" ${navigation.canExport ? '' : 'disabled'}>Export…</button>
+        </div>
+    `;
+}
+
+/**
+ * Switch between the commit list and the analytics tab
+ */
+function formatTabs(tab) {
+    const button = (value, label) =>
+        `<button data-action="showTab" data-value="${value}" class="${tab === value ? 'active' : ''}">${label}</button>`;
+    return `
+        <div class="tabs">
+            ${button('commits', 'Commits')}
+            ${button('analytics', 'Analytics')}
+        </div>
+    `;
+}
+
+/**
+ * Analytics tab: ownership, authors, churn timeline, hot lines and
+ * per-commit line counts
+ */
+function formatAnalytics(analytics, message, loaded, dateFormat) {
+    if (!analytics) {
+        return `
+            <div class="no-results">
+                <p class="no-results-text">${escapeHTML(message || 'Computing analytics...')}</p>
+            </div>
+        `;
+    }
+    
+    const changeCells = ({ added, removed }) => `
+        <td class="number lines-added">+${added}</td>
+        <td class="number lines-removed">−${removed}</td>
+    `;
+    
+    return `
+        <div class="analytics">
+            <p class="analytics-note">Based on the ${loaded} loaded commit${loaded !== 1 ? 's' : ''}. Line counts come from the diffs of the tracked code.</p>
+            
+            ${analytics.ownership ? `
+                <section>
+                    <h2>Ownership</h2>
+                    <p class="analytics-note">Who wrote the current lines, according to git blame</p>
+                    <table>
+                        ${analytics.ownership.map(owner => `
+                            <tr>
+                                <td title="${escapeHTML(owner.email)}">${escapeHTML(owner.name)}</td>
+                                <td style="width: 50%"><div class="share-bar" style="width: ${owner.percent}%"></div></td>
+                                <td class="number">${owner.percent}% · ${owner.lines} line${owner.lines !== 1 ? 's' : ''}</td>
+                            </tr>
+                        `).join('')}
+                    </table>
+                </section>
+            ` : ''}
+            
+            <section>
+                <h2>Authors</h2>
+                <table>
+                    <tr><th>Author</th><th class="number">Commits</th><th class="number">Added</th><th class="number">Removed</th><th>Last change</th></tr>
+                    ${analytics.authors.map(author => `
+                        <tr>
+                            <td title="${escapeHTML(author.email)}">${escapeHTML(author.name)}</td>
+                            <td class="number">${author.commits}</td>
+                            ${changeCells(author)}
+                            <td>${escapeHTML(formatDate(author.lastDate, dateFormat))}</td>
+                        </tr>
+                    `).join('')}
+                </table>
+            </section>
+            
+            ${analytics.churn.length ? `
+                <section>
+                    <h2>Churn</h2>
+                    ${formatChurnChart(analytics.churn)}
+                </section>
+            ` : ''}
+            
+            ${analytics.hotLines ? `
+                <section>
+                    <h2>Hot lines</h2>
+                    ${analytics.hotLines.length ? `
+                        <table>
+                            <tr><th class="number">Line</th><th class="number">Changes</th><th>Code</th></tr>
+                            ${analytics.hotLines.map(line => `
+                                <tr>
+                                    <td class="number">${line.line}</td>
+                                    <td class="number">${line.count}</td>
+                                    <td><code>${escapeHTML(line.text)}</code></td>
+                                </tr>
+                            `).join('')}
+                        </table>
+                    ` : '<p class="analytics-note">No line was changed more than once.</p>'}
+                </section>
+            ` : ''}
+            
+            <section>
+                <h2>Changes per commit</h2>
+                <table>
+                    ${analytics.changes.map(change => `
+                        <tr>
+                            <td><code title="${escapeHTML(change.hash)}">${change.hash.substring(0, 7)}</code></td>
+                            <td>${escapeHTML(change.subject)}</td>
+                            <td>${escapeHTML(change.author)}</td>
+                            ${changeCells(change)}
+                        </tr>
+                    `).join('')}
+                </table>
+            </section>
+
+        </div>
+    `;
+}
+
+/**
+ * Bar chart of lines added and removed per month
+ */
+function formatChurnChart(churn) {
+    const height = 100;
+    const max = Math.max(1, ...churn.map(month => month.added + month.removed));
+    const bars = churn.map((month, index) => {
+        const added = month.added / max * height;
+        const removed = month.removed / max * height;
+        return `
+            <g>
+                <title>${month.month}: ${month.commits} commit${month.commits !== 1 ? 's' : ''}, +${month.added} −${month.removed}</title>
+                <rect class="bar-added" x="${index * 10 + 1}" y="${height - added - removed}" width="8" height="${added}"></rect>
+                <rect class="bar-removed" x="${index * 10 + 1}" y="${height - removed}" width="8" height="${removed}"></rect>
+            </g>
+        `;
+    }).join('');
+    
+    return `
+        <svg class="churn-chart" viewBox="0 0 ${churn.length * 10} ${height}" preserveAspectRatio="none">${bars}</svg>
+        <div class="churn-axis">
+            <span>${churn[0].month}</span>
+            <span>${churn[churn.length - 1].month}</span>
+        </div>
+    `;
+}
+
+/**
+ * Filter bar for the commit cards. Authors seen in the loaded commits are
+ * offered as suggestions. With a base branch, commits can be narrowed down
+ * to those not in it.
+ */
+function formatFilters(filters, commits, base) {
+    const authors = Array.from(new Set(commits.map(commit => commit.author.name))).sort();
+    const value = name => escapeHTML(filters[name] || '');
+    const checked = name => filters[name] ? 'checked' : '';
+    
+    return `
+        <div class="filters">
+            <input type="text" data-filter="author" list="filter-authors" placeholder="Author" value="${value('author')}">
+            <datalist id="filter-authors">
+                ${authors.map(author => `<option value="${escapeHTML(author)}">`).join('')}
+            </datalist>
+            <input type="date" data-filter="since" title="Changed on or after" value="${value('since')}">
+            <input type="date" data-filter="until" title="Changed on or before" value="${value('until')}">
+            <input type="text" data-filter="message" placeholder="Message" value="${value('message')}">
+            <label title="Match the message as a regular expression"><input type="checkbox" data-filter="regex" ${checked('regex')}>Regex</label>
+            <label><input type="checkbox" data-filter="hideMerges" ${checked('hideMerges')}>Hide merges</label>
+            <label title="Hide commits by authors such as dependabot[bot]"><input type="checkbox" data-filter="hideBots" ${checked('hideBots')}>Hide bots</label>
+            ${base ? `<label title="Only show commits that aren't in ${escapeHTML(base)} yet"><input type="checkbox" data-filter="notInBase" ${checked('notInBase')}>Not in ${escapeHTML(base)}</label>` : ''}
+            <select data-filter="sort" title="Sort by author date">
+                <option value="newest" ${filters.sort !== 'oldest' ? 'selected' : ''}>Newest first</option>
+                <option value="oldest" ${filters.sort === 'oldest' ? 'selected' : ''}>Oldest first</option>
+            </select>
+        </div>
+    `;
+}
+
+/**
+ * Compare button and time slider for a function's history. The slider
+ * runs from the oldest version (1) to the newest.
+ */
+function formatVersionBar(commits) {
+    const versions = commits.filter(commit => !commit.uncommitted).map(commit => commit.hash).reverse();
+    return `
+        <div class="version-bar">
+            <button data-action="compareFunction" class="compare-selected" disabled title="Diff the function between the two selected commits">Compare selected</button>
+            <div class="time-slider" data-versions="${escapeHTML(JSON.stringify(versions))}">
+                <button data-step="-1" title="Previous version">◀</button>
+                <input type="range" min="1" max="${versions.length}" value="${versions.length}" title="Step through the function's versions">
+                <button data-step="1" title="Next version">▶</button>
+                <span class="version-label">Version ${versions.length} of ${versions.length}</span>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Webview script behind the version bar: picking two commits to compare
+ * and stepping through versions, each step opening that version's diff
+ */
+const VERSION_SCRIPT = `
+    const timeSlider = document.querySelector('.time-slider');
+    const versions = timeSlider ? JSON.parse(timeSlider.dataset.versions) : [];
+    const compareButton = document.querySelector('.compare-selected');
+    let compared = [];
+    
+    function showVersion(version) {
+        const input = timeSlider.querySelector('input');
+        input.value = Math.min(Math.max(version, 1), versions.length);
+        const hash = versions[input.value - 1];
+        timeSlider.querySelector('.version-label').textContent = 'Version ' + input.value + ' of ' + versions.length + ' · ' + hash.substring(0, 7);
+        vscode.postMessage({ command: 'showFunctionVersion', hash });
+    }
+    
+    if (timeSlider) {
+        timeSlider.querySelector('input').addEventListener('change', event => showVersion(Number(event.target.value)));
+        timeSlider.addEventListener('click', event => {
+            const step = event.target.closest('[data-step]');
+            if (step) showVersion(Number(timeSlider.querySelector('input').value) + Number(step.dataset.step));
+        });
+    }
+    
+    document.addEventListener('change', event => {
+        const checkbox = event.target.closest('[data-compare]');
+        if (!checkbox || !compareButton) return;
+        
+        compared = compared.filter(hash => hash !== checkbox.dataset.compare);
+        if (checkbox.checked) compared.push(checkbox.dataset.compare);
+        // Keep the two most recent picks
+        while (compared.length > 2) {
+            const dropped = compared.shift();
+            document.querySelector('[data-compare="' + dropped + '"]').checked = false;
+        }
+        
+        const [older, newer] = compared.slice().sort((a, b) => versions.indexOf(a) - versions.indexOf(b));
+        compareButton.disabled = compared.length !== 2;
+        compareButton.dataset.hash = newer || '';
+        compareButton.dataset.value = older || '';
+    });
+`;
+
+/**
+ * Webview script behind the filter bar. Filtering only hides cards, so it
+ * never needs another round trip to git.
+ */
+const FILTER_SCRIPT = `
+    function readFilters() {
+        const filters = {};
+        document.querySelectorAll('[data-filter]').forEach(input => {
+            filters[input.dataset.filter] = input.type === 'checkbox' ? input.checked : input.value;
+        });
+        return filters;
+    }
+    
+    function applyFilters() {
+        const list = document.querySelector('.commits-list');
+        if (!list || !document.querySelector('.filters')) return;
+        
+        const filters = readFilters();
+        const messageInput = document.querySelector('[data-filter="message"]');
+        let pattern = null;
+        messageInput.classList.remove('invalid');
+        if (filters.regex && filters.message) {
+            try {
+                pattern = new RegExp(filters.message, 'i');
+            } catch (error) {
+                messageInput.classList.add('invalid');
+            }
+        }
+        
+        const author = filters.author.trim().toLowerCase();
+        const message = filters.message.toLowerCase();
+        const since = filters.since ? new Date(filters.since + 'T00:00:00').getTime() : -Infinity;
+        const until = filters.until ? new Date(filters.until + 'T23:59:59.999').getTime() : Infinity;
+        
+        const cards = Array.from(list.querySelectorAll('.commit-card'));
+        let shown = 0;
+        for (const card of cards) {
+            const date = Date.parse(card.dataset.date);
+            const matchesMessage = !filters.message ||
+                (filters.regex ? !pattern || pattern.test(card.dataset.message) : card.dataset.message.toLowerCase().includes(message));
+            const visible = (!author || card.dataset.author.includes(author)) &&
+                date >= since && date <= until &&
+                matchesMessage &&
+                !(filters.hideMerges && card.hasAttribute('data-merge')) &&
+                !(filters.hideBots && card.hasAttribute('data-bot')) &&
+                !(filters.notInBase && !card.hasAttribute('data-not-in-base'));
+            card.hidden = !visible;
+            if (visible) shown++;
+        }
+        
+        const direction = filters.sort === 'oldest' ? 1 : -1;
+        cards.sort((a, b) => direction * (Date.parse(a.dataset.date) - Date.parse(b.dataset.date)) ||
+            a.dataset.index - b.dataset.index);
+        cards.forEach(card => list.appendChild(card));
+        
+        document.querySelector('.filter-count').textContent =
+            shown === cards.length ? '' : 'Showing ' + shown + ' of ' + cards.length;
+        return filters;
+    }
+    
+    document.addEventListener('input', event => {
+        if (!event.target.closest('[data-filter]')) return;
+        const filters = applyFilters();
+        vscode.setState(Object.assign({}, vscode.getState(), { filters: filters }));
+        vscode.postMessage({ command: 'setFilters', value: filters });
+    });
+    applyFilters();
+`;
+
+/**
+ * Chips for the refs `git log` decorated a commit with: branches, tags
+ * and where HEAD points
+ */
+function formatRefs(refs) {
+    return refs.map(ref => {
+        if (ref.startsWith('tag: ')) {
+            return `<span class="commit-tag" title="Tag">🏷 ${escapeHTML(ref.slice('tag: '.length))}</span>`;
+        }
+        const head = ref.match(/^HEAD -> (.*)$/);
+        const name = head ? head[1] : ref;
+        const label = head ? 'Checked out branch' : ref === 'HEAD' ? 'Checked out commit' : 'Branch';
+        return `<span class="commit-branch" title="${label}">🌿 ${escapeHTML(name)}</span>`;
+    }).join('');
+}
+
+/**
+ * The branches and tags containing a commit, the first few by name
+ */
+function formatContainment({ branches, tags }) {
+    const names = branches.concat(tags);
+    if (!names.length) return '';
+    const shown = names.slice(0, MAX_CONTAINING_REFS);
+    const more = names.length - shown.length;
+    return `
+        <div class="commit-containment" title="${escapeHTML(names.join(', '))}">
+            In: ${escapeHTML(shown.join(', '))}${more ? ` (+${more})` : ''}
+        </div>
+    `;
+}
+
+function isNotInBase(containment, commit) {
+    const refs = containment && containment.commits[commit.hash];
+    return !!refs && refs.inBase === false;
+}
+
+/**
+ * Whether a commit author looks like an automated account, e.g.
+ * "dependabot[bot]" or "renovate-bot"
+ */
+function isBotAuthor(author) {
+    return /\[bot\]|(^|[-_.\s])bot$|^(dependabot|renovate|greenkeeper)\b/i.test(author.name) ||
+        /\[bot\]@|^(dependabot|renovate)/i.test(author.email);
+}
+
+/**
+ * Action buttons for one commit card
+ */
+function formatCommitActions(commit, compareVersions) {
+    const hash = escapeHTML(commit.hash);
+    const actions = [
+        ['openDiff', 'Diff with parent', 'Open the changes of this commit in the diff editor'],
+        ['openDiffWithWorkingTree', 'Diff with working tree', 'Compare this revision with the file on disk'],
+        ['openAtRevision', 'Open at revision', 'Open the file as it was at this commit'],
+        ['copyHash', 'Copy hash', 'Copy the full commit hash'],
+        ['copyMessage', 'Copy message', 'Copy the full commit message']
+    ];
+    
+    return `
+        <div class="commit-actions">
+            ${actions.map(([action, label, tooltip]) => `
+                <button data-action="${action}" data-hash="${hash}" title="${tooltip}">${label}</button>
+            `).join('')}
+            ${compareVersions ? `
+                <label class="compare-select" title="Select two commits to compare the function between them">
+                    <input type="checkbox" data-compare="${hash}"> Compare
+                </label>
+            ` : ''}
+        </div>
+    `;
+}
+
+/**
+ * The last changes of a line as hover Markdown: a table of the newest
+ * `options.maxCommits` commits with author chips, the newest diff of the
+ * line, and `options.actions` (`{ label, command, args }`) as command
+ * links. The chips are HTML, so the MarkdownString needs `supportHtml`.
+ */
+function formatLineHover(commits, options = {}) {
+    const { links, dateFormat, maxCommits = 5, actions = [] } = options;
+    const markdownLinks = { text: escapeMarkdown, link: (label, url) => `[${escapeMarkdown(label)}](${markdownUrl(url)})` };
+    const shown = commits.slice(0, Math.max(1, maxCommits));
+    
+    const lines = ['### 📝 Line History', '', '| | Commit | Author | Date | Message |', '| --- | --- | --- | --- | --- |'];
+    for (const commit of shown) {
+        const url = commit.uncommitted ? null : commitLink(links, commit.hash);
+        const hash = commit.uncommitted ? '' : url
+            ? `[\`${commit.hash.substring(0, 7)}\`](${markdownUrl(url)})`
+            : `\`${commit.hash.substring(0, 7)}\``;
+        lines.push(`| ${formatAuthorChip(commit)} | ${hash} | ${escapeMarkdown(commit.author.name)} | ${formatDate(commit.author.date, dateFormat)} | ${linkify(commit.subject, links, markdownLinks)} |`);
+    }
+    
+    const older = commits.filter(commit => !commit.uncommitted).length - shown.filter(commit => !commit.uncommitted).length;
+    if (older > 0) lines.push('', `*${older} older commit${older === 1 ? '' : 's'} changed this line too*`);
+    
+    const latest = commits[0];
+    const diffLines = latest.hunks.flatMap(hunk => hunk.lines)
+        .map(line => `${line.type === 'add' ? '+' : line.type === 'delete' ? '-' : ' '}${line.text}`);
+    if (diffLines.length) {
+        const diff = diffLines.slice(0, MAX_HOVER_DIFF_LINES);
+        if (diffLines.length > diff.length) diff.push(`  … ${diffLines.length - diff.length} more lines`);
+        const fence = codeFence(diff.join('\n'));
+        const label = latest.uncommitted ? latest.subject : `Changed in \`${latest.hash.substring(0, 7)}\``;
+        lines.push('', `**${label}:**`, '', `${fence}diff`, ...diff, fence);
+    }
+    
+    if (actions.length) {
+        lines.push('', '---', '', actions.map(action =>
+            `[${escapeMarkdown(action.label)}](command:${action.command}?${encodeURIComponent(JSON.stringify(action.args || []))})`
+        ).join(' · '));
+    }
+    
+    return lines.join('\n');
+}
+
+/**
+ * A colored chip with the author's initials, for scanning who changed what
+ */
+function formatAuthorChip(commit) {
+    if (commit.uncommitted) return '<span style="color:#ffffff;background-color:#6a737d;">&nbsp;✎&nbsp;</span>';
+    
+    const name = commit.author.name;
+    const initials = name.split(/\s+/)
+        .map(word => (word.match(/[\p{L}\p{N}]/u) || [''])[0])
+        .filter(Boolean)
+        .slice(0, 2)
+        .join('')
+        .toUpperCase() || '?';
+    let hash = 0;
+    for (const char of name) hash = (hash * 31 + char.codePointAt(0)) >>> 0;
+    return `<span style="color:#ffffff;background-color:${AUTHOR_COLORS[hash % AUTHOR_COLORS.length]};">&nbsp;${escapeHTML(initials)}&nbsp;</span>`;
+}
+
+/**
+ * A Markdown code fence longer than any backtick run in the text
+ */
+function codeFence(text) {
+    const longest = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+    return '`'.repeat(Math.max(3, longest + 1));
+}
+
+/**
+ * Format an ISO date as `relative` ("3 days ago", the default), `absolute`
+ * (local "2024-05-01 14:30") or `iso` (as git reported it)
+ */
+function formatDate(isoDate, format = 'relative') {
+    if (format === 'iso') return isoDate;
+    if (format !== 'absolute') return formatRelativeDate(isoDate);
+    
+    const date = new Date(isoDate);
+    if (isNaN(date.getTime())) return isoDate;
+    
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Format an ISO date the way `git log --date=relative` would
+ */
+function formatRelativeDate(isoDate, now = Date.now()) {
+    const time = Date.parse(isoDate);
+    if (isNaN(time)) return isoDate;
+    
+    const seconds = Math.round((now - time) / 1000);
+    if (seconds < 0) return 'in the future';
+    
+    const units = [
+        ['year', 365 * 24 * 3600],
+        ['month', 30 * 24 * 3600],
+        ['week', 7 * 24 * 3600],
+        ['day', 24 * 3600],
+        ['hour', 3600],
+        ['minute', 60],
+        ['second', 1]
+    ];
+    
+    for (const [unit, size] of units) {
+        const count = Math.floor(seconds / size);
+        if (count >= 1) {
+            return `${count} ${unit}${count !== 1 ? 's' : ''} ago`;
+        }
+    }
+    
+    return 'just now';
+}
+
+/**
+ * Escape a commit message for HTML, with autolinks as anchors
+ */
+function linkifyHTML(text, links) {
+    return linkify(text, links, {
+        text: escapeHTML,
+        link: (label, url) => `<a href="${escapeHTML(url)}" title="${escapeHTML(url)}">${escapeHTML(label)}</a>`
+    });
+}
+
+function escapeHTML(str) {
+    return str.replace(/[&<>'"]/g, char => ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        "'": '&#39;',
+        '"': '&quot;'
+    }[char]));
+}
+
+/**
+ * Escape text for Markdown (hovers, exported reports)
+ */
+function escapeMarkdown(text) {
+    return text.replace(/[\\`*_{}[\]()#+\-.!|<>~]/g, '\\$&');
+}
+
+/**
+ * Percent-encode the characters that would end a Markdown link's URL early
+ * or break the table it sits in
+ */
+function markdownUrl(url) {
+    return url.replace(/[()<>|\\\s]/g, char => char === '(' ? '%28' : char === ')' ? '%29' : encodeURIComponent(char));
+}
+
+module.exports = {
+    formatCommitsHTML,
+    formatDate,
+    formatRelativeDate,
+    formatLineRanges,
+    formatRevision,
+    formatLineHover,
+    codeFence,
+    escapeHTML,
+    escapeMarkdown,
+    markdownUrl
+};
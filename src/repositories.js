@@ -0,0 +1,192 @@
+const path = require('path');
+const { runGit, raceCancellation, GitCancelledError } = require('./git');
+
+/**
+ * Every git repository the extension has seen: workspace folders, their
+ * submodules (recursively) and linked worktrees, and the repositories of
+ * files opened from elsewhere.
+ *
+ * Each repository is described by `{ root, gitDir, commonDir, name,
+ * worktree, superproject }`: `gitDir` is where its HEAD lives and
+ * `commonDir` where its refs live, which differ for a linked worktree
+ * (`worktree` is then true and `name` is the main repository's). A
+ * submodule's `superproject` is the root of the repository containing it.
+ *
+ * Lookups are cached per directory, so a file's repository costs one
+ * `git rev-parse` per directory instead of one per query.
+ */
+class RepositoryRegistry {
+    constructor() {
+        this.byDirectory = new Map();
+        this.byRoot = new Map();
+        this.discovered = new Set();
+    }
+
+    /**
+     * The repository containing a file, or null outside of one
+     */
+    find(filePath, options = {}) {
+        return this.findDirectory(path.dirname(filePath), options);
+    }
+
+    /**
+     * The root of the repository containing a file, or null outside of one
+     */
+    async getRoot(filePath, options = {}) {
+        const repository = await this.find(filePath, options);
+        return repository ? repository.root : null;
+    }
+
+    /**
+     * A repository by its root, if it has been seen
+     */
+    get(root) {
+        return this.byRoot.get(root) || null;
+    }
+
+    all() {
+        return Array.from(this.byRoot.values());
+    }
+
+    findDirectory(directory, options = {}) {
+        if (!this.byDirectory.has(directory)) {
+            // Shared by every caller, so no one caller's token may stop it
+            const lookup = readRepository(directory)
+                .then(repository => {
+                    // Not being a repository may change (git init), so only remember hits
+                    if (!repository) {
+                        this.byDirectory.delete(directory);
+                        return null;
+                    }
+                    if (!this.byRoot.has(repository.root)) this.byRoot.set(repository.root, repository);
+                    return this.byRoot.get(repository.root);
+                })
+                .catch(error => {
+                    this.byDirectory.delete(directory);
+                    throw error;
+                });
+            this.byDirectory.set(directory, lookup);
+        }
+        return raceCancellation(this.byDirectory.get(directory), options.token);
+    }
+
+    /**
+     * Find the repositories of workspace folders, with their initialized
+     * submodules and linked worktrees. Resolves to all repositories known
+     * afterwards.
+     */
+    async discover(folderPaths, options = {}) {
+        const visit = async directory => {
+            const repository = await this.findDirectory(directory, options);
+            if (!repository || this.discovered.has(repository.root)) return;
+            this.discovered.add(repository.root);
+
+            const [submodules, worktrees] = await Promise.all([
+                listSubmodulePaths(repository.root, options),
+                listWorktreePaths(repository.root, options)
+            ]);
+            // Submodules that aren't checked out resolve to this repository again
+            const nested = submodules.map(submodule => path.join(repository.root, submodule))
+                .concat(worktrees.filter(worktree => worktree !== path.normalize(repository.root)));
+            await Promise.all(nested.map(visit));
+        };
+
+        await Promise.all(folderPaths.map(visit));
+        return this.all();
+    }
+
+    clear() {
+        this.byDirectory.clear();
+        this.byRoot.clear();
+        this.discovered.clear();
+    }
+}
+
+/**
+ * Describe the repository whose working tree contains `directory`, or
+ * resolve to null when there is none
+ */
+async function readRepository(directory) {
+    let output;
+    try {
+        output = await runGit(directory, [
+            'rev-parse', '--show-toplevel', '--absolute-git-dir', '--git-common-dir', '--show-superproject-working-tree'
+        ]);
+    } catch (error) {
+        return null;
+    }
+
+    const [root, gitDir, commonDir, superproject] = output.split('\n').map(line => line.trim());
+    if (!root) return null;
+
+    const resolvedCommonDir = path.resolve(directory, commonDir);
+    const worktree = path.normalize(resolvedCommonDir) !== path.normalize(gitDir);
+    return {
+        root,
+        gitDir,
+        commonDir: resolvedCommonDir,
+        // A linked worktree is named after the repository it belongs to
+        name: path.basename(worktree && path.basename(resolvedCommonDir) === '.git' ? path.dirname(resolvedCommonDir) : root),
+        worktree,
+        superproject: superproject || null
+    };
+}
+
+/**
+ * Paths (relative to the root) of the submodules listed in `.gitmodules`
+ */
+async function listSubmodulePaths(root, options) {
+    try {
+        const output = await runGit(root, ['config', '-z', '--file', '.gitmodules', '--get-regexp', '^submodule\\..*\\.path$'], options);
+        return output.split('\0').filter(Boolean).map(entry => entry.slice(entry.indexOf('\n') + 1));
+    } catch (error) {
+        if (error instanceof GitCancelledError) throw error;
+        return [];
+    }
+}
+
+/**
+ * Absolute paths of a repository's worktrees, the main one included
+ */
+async function listWorktreePaths(root, options) {
+    try {
+        const output = await runGit(root, ['worktree', 'list', '--porcelain'], options);
+        return output.split('\n')
+            .filter(line => line.startsWith('worktree '))
+            .map(line => path.normalize(line.slice('worktree '.length)));
+    } catch (error) {
+        if (error instanceof GitCancelledError) throw error;
+        return [];
+    }
+}
+
+/**
+ * Why a file has no history: 'ignored' (matched by a .gitignore rule),
+ * 'untracked' (never added), or null when git tracks it
+ */
+async function getUntrackedReason(gitRoot, relativePath, options = {}) {
+    const succeeds = args => runGit(gitRoot, args, options).then(() => true, error => {
+        if (error instanceof GitCancelledError) throw error;
+        return false;
+    });
+
+    if (await succeeds(['ls-files', '--error-unmatch', '--', relativePath])) return null;
+    return await succeeds(['check-ignore', '-q', '--', relativePath]) ? 'ignored' : 'untracked';
+}
+
+/**
+ * Short description of a repository for headers: its name, plus the
+ * worktree or the superproject it is part of
+ */
+function describeRepository(repository) {
+    let label = repository.name;
+    if (repository.worktree) label += ` (worktree ${path.basename(repository.root)})`;
+    if (repository.superproject) label += ` · submodule of ${path.basename(repository.superproject)}`;
+    return label;
+}
+
+module.exports = {
+    RepositoryRegistry,
+    getUntrackedReason,
+    describeRepository
+};
@@ -0,0 +1,168 @@
+const { UNCOMMITTED_HASH } = require('./blame');
+const { parseDiffHunks } = require('./gitLog');
+const { splitLines, diffLines, mapLineToOld, mapChangedLineToOld } = require('./lineDiff');
+
+/**
+ * Compare a file's working copy with its staged and committed versions,
+ * like `git blame` does for the working tree. `head` and `index` are the
+ * file's contents at HEAD and in the index (null where it doesn't exist),
+ * `working` the editor buffer or the file on disk.
+ */
+function compareWorkingCopy({ head, index, working }) {
+    const headLines = head === null ? [] : splitLines(head);
+    const indexLines = index === null ? headLines : splitLines(index);
+    const workingLines = splitLines(working);
+
+    return {
+        headLines,
+        indexLines,
+        workingLines,
+        staged: diffLines(headLines, indexLines),
+        unstaged: diffLines(indexLines, workingLines)
+    };
+}
+
+/**
+ * Where a 0-based working copy line stands: `{ status: 'unstaged' }` for
+ * lines changed since they were staged, `{ status: 'staged' }` for lines
+ * staged but not committed, otherwise `{ status: 'committed', headLine }`.
+ */
+function lineStatus(comparison, line) {
+    const indexLine = mapLineToOld(comparison.unstaged, line);
+    if (indexLine === null) return { status: 'unstaged' };
+
+    const headLine = mapLineToOld(comparison.staged, indexLine);
+    if (headLine === null) return { status: 'staged' };
+
+    return { status: 'committed', headLine };
+}
+
+/**
+ * Translate 1-based working copy line ranges to the HEAD lines their
+ * committed lines came from. Ranges with no committed lines are dropped.
+ *
+ * With `changedLines`, changed lines stand for the HEAD lines they
+ * replaced, e.g. to follow a line that reads differently on another
+ * branch.
+ */
+function mapRangesToHead(comparison, ranges, { changedLines = false } = {}) {
+    const mapped = [];
+    for (const [start, end] of ranges) {
+        let first = null;
+        let last = null;
+        for (let line = start - 1; line < end && line < comparison.workingLines.length; line++) {
+            const { headLine } = lineStatus(comparison, line);
+            const headLines = headLine !== undefined ? [headLine] : changedLines ? replacedHeadLines(comparison, line) : [];
+            for (const mappedLine of headLines) {
+                first = first === null ? mappedLine : Math.min(first, mappedLine);
+                last = last === null ? mappedLine : Math.max(last, mappedLine);
+            }
+        }
+        if (first !== null) mapped.push([first + 1, last + 1]);
+    }
+    return mapped;
+}
+
+/**
+ * The 0-based HEAD lines a changed working copy line replaced, through
+ * the index
+ */
+function replacedHeadLines(comparison, line) {
+    const indexLine = mapLineToOld(comparison.unstaged, line);
+    const indexLines = indexLine !== null ? [indexLine] : mapChangedLineToOld(comparison.unstaged, line) || [];
+    return indexLines.flatMap(index => {
+        const headLine = mapLineToOld(comparison.staged, index);
+        return headLine !== null ? [headLine] : mapChangedLineToOld(comparison.staged, index) || [];
+    });
+}
+
+/**
+ * Synthetic commits for the uncommitted changes to 1-based working copy
+ * `ranges`, newest first: "Uncommitted changes" (working copy against the
+ * index) and "Staged changes" (index against HEAD). Each carries the
+ * diff of the regions touching the ranges and `uncommitted` set to
+ * 'unstaged' or 'staged'; its hash is UNCOMMITTED_HASH.
+ */
+function uncommittedChanges(comparison, ranges, { path, date = new Date().toISOString() } = {}) {
+    // The same ranges on the index side, through the lines not changed since staging
+    const indexRanges = [];
+    for (const [start, end] of ranges) {
+        const lines = [];
+        for (let line = start - 1; line < end; line++) {
+            const indexLine = mapLineToOld(comparison.unstaged, line);
+            if (indexLine !== null) lines.push(indexLine + 1);
+        }
+        if (lines.length) indexRanges.push([lines[0], lines[lines.length - 1]]);
+    }
+
+    const changes = [
+        {
+            uncommitted: 'unstaged',
+            subject: 'Uncommitted changes',
+            regions: touchingRegions(comparison.unstaged, ranges),
+            oldLines: comparison.indexLines,
+            newLines: comparison.workingLines
+        },
+        {
+            uncommitted: 'staged',
+            subject: 'Staged changes',
+            regions: touchingRegions(comparison.staged, indexRanges),
+            oldLines: comparison.headLines,
+            newLines: comparison.indexLines
+        }
+    ];
+
+    return changes
+        .filter(change => change.regions.length)
+        .map(change => {
+            const diff = formatRegions(path, change.oldLines, change.newLines, change.regions);
+            const author = { name: 'Not committed yet', email: '', date };
+            return {
+                hash: UNCOMMITTED_HASH,
+                uncommitted: change.uncommitted,
+                parents: [],
+                refs: [],
+                author,
+                committer: author,
+                subject: change.subject,
+                body: '',
+                files: [],
+                path,
+                diff,
+                hunks: parseDiffHunks(diff)
+            };
+        });
+}
+
+/**
+ * Diff regions whose new side overlaps one of the 1-based ranges. Lines
+ * deleted between two lines of a range count too.
+ */
+function touchingRegions(regions, ranges) {
+    return regions.filter(region => ranges.some(([start, end]) => region.newCount
+        ? region.newStart < end && region.newStart + region.newCount >= start
+        : region.newStart >= start && region.newStart < end));
+}
+
+/**
+ * Unified diff (without context lines) of the given regions
+ */
+function formatRegions(path, oldLines, newLines, regions) {
+    const lines = [`--- a/${path}`, `+++ b/${path}`];
+    for (const region of regions) {
+        // An empty side is numbered by the line before it, as git does
+        const oldStart = region.oldCount ? region.oldStart + 1 : region.oldStart;
+        const newStart = region.newCount ? region.newStart + 1 : region.newStart;
+        lines.push(`@@ -${oldStart},${region.oldCount} +${newStart},${region.newCount} @@`);
+        oldLines.slice(region.oldStart, region.oldStart + region.oldCount).forEach(line => lines.push(`-${line}`));
+        newLines.slice(region.newStart, region.newStart + region.newCount).forEach(line => lines.push(`+${line}`));
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    compareWorkingCopy,
+    lineStatus,
+    mapRangesToHead,
+    uncommittedChanges
+};
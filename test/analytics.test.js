@@ -0,0 +1,105 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { makeCommit } = require('./helpers');
+const { UNCOMMITTED_HASH } = require('../src/blame');
+const {
+    countLineChanges,
+    summarizeAuthors,
+    churnByMonth,
+    findHotLines,
+    summarizeOwnership,
+    buildAnalytics
+} = require('../src/analytics');
+
+const ADA = { name: 'Ada', email: 'ada@example.com' };
+const GRACE = { name: 'Grace', email: 'grace@example.com' };
+
+/**
+ * A commit of a three-line range (lines 10-12 today) rewriting its middle
+ * line from `before` to `after`
+ */
+function rewrite(author, date, before, after) {
+    return makeCommit({
+        author: { ...author, date },
+        hunks: [{
+            oldStart: 10,
+            oldLines: 3,
+            newStart: 10,
+            newLines: 3,
+            lines: [
+                { type: 'context', text: 'a' },
+                { type: 'delete', text: before },
+                { type: 'add', text: after },
+                { type: 'context', text: 'c' }
+            ]
+        }]
+    });
+}
+
+const added = makeCommit({
+    author: { ...ADA, date: '2024-01-15T00:00:00Z' },
+    hunks: [{
+        oldStart: 0,
+        oldLines: 0,
+        newStart: 10,
+        newLines: 3,
+        lines: [{ type: 'add', text: 'a' }, { type: 'add', text: 'b0' }, { type: 'add', text: 'c' }]
+    }]
+});
+
+// Newest first, as histories are
+const commits = [
+    rewrite({ name: 'Ada', email: 'ADA@example.com' }, '2024-04-02T00:00:00Z', 'b1', 'b2'),
+    rewrite(GRACE, '2024-02-01T00:00:00Z', 'b0', 'b1'),
+    added
+];
+
+describe('analytics', () => {
+    test('counts added and removed lines', () => {
+        assert.deepEqual(countLineChanges(commits[0]), { added: 1, removed: 1 });
+        assert.deepEqual(countLineChanges(added), { added: 3, removed: 0 });
+        assert.deepEqual(countLineChanges(makeCommit({ hunks: undefined })), { added: 0, removed: 0 });
+    });
+
+    test('sums up each author, whatever the email\'s case', () => {
+        assert.deepEqual(summarizeAuthors(commits), [
+            { name: 'Ada', email: 'ADA@example.com', commits: 2, added: 4, removed: 1, lastDate: '2024-04-02T00:00:00Z' },
+            { name: 'Grace', email: 'grace@example.com', commits: 1, added: 1, removed: 1, lastDate: '2024-02-01T00:00:00Z' }
+        ]);
+    });
+
+    test('fills in the months without commits', () => {
+        assert.deepEqual(churnByMonth(commits), [
+            { month: '2024-01', commits: 1, added: 3, removed: 0 },
+            { month: '2024-02', commits: 1, added: 1, removed: 1 },
+            { month: '2024-03', commits: 0, added: 0, removed: 0 },
+            { month: '2024-04', commits: 1, added: 1, removed: 1 }
+        ]);
+        assert.deepEqual(churnByMonth([]), []);
+    });
+
+    test('finds the lines rewritten most often', () => {
+        assert.deepEqual(findHotLines(commits), [{ line: 11, count: 3, text: 'b2' }]);
+        assert.deepEqual(findHotLines(commits, { startLine: 20 }), [{ line: 21, count: 3, text: 'b2' }]);
+        // Several ranges can't be lined up
+        assert.equal(findHotLines([{ ...commits[0], ranges: [[1, 1], [5, 5]] }]), null);
+    });
+
+    test('shares the blamed lines out by author', () => {
+        const blame = {
+            lines: [{ hash: 'h1' }, { hash: 'h1' }, { hash: UNCOMMITTED_HASH }],
+            commits: new Map([['h1', { author: ADA }]])
+        };
+        assert.deepEqual(summarizeOwnership(blame), [
+            { name: 'Ada', email: 'ada@example.com', lines: 2, percent: 66.7 },
+            { name: 'Not committed yet', email: '', lines: 1, percent: 33.3 }
+        ]);
+    });
+
+    test('leaves uncommitted changes out', () => {
+        const analytics = buildAnalytics([makeCommit({ uncommitted: 'unstaged', hash: UNCOMMITTED_HASH }), ...commits]);
+        assert.equal(analytics.commitCount, 3);
+        assert.deepEqual(analytics.changes.map(change => change.author), ['Ada', 'Grace', 'Ada']);
+        assert.equal(analytics.ownership, null);
+    });
+});
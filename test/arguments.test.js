@@ -0,0 +1,103 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { createRepo, subjects } = require('./helpers');
+
+// Record how git is started; src/git.js picks spawn up when it is loaded
+const spawned = [];
+const spawn = childProcess.spawn;
+childProcess.spawn = (command, args, options) => {
+    spawned.push({ command, args, options });
+    return spawn(command, args, options);
+};
+
+const { validateFunctionName, escapeFuncname } = require('../src/git');
+const { getLineHistory, getWorkingTreeHistory, getFunctionHistory, searchCodeHistory, getFileHistory, escapeExtendedRegex } = require('../src/history');
+
+const CLI = path.join(__dirname, '..', 'bin', 'code-history.js');
+
+/**
+ * File names, function names and snippets a shell or git's option parser
+ * would take for something else
+ */
+const HOSTILE = ['-dash', '--all', '$(touch pwned)', '`touch pwned`', '; touch pwned', 'a:b', 'with space', '"double" \'single\'', 'star*.[x]^'];
+
+describe('hostile arguments', () => {
+    let repo;
+
+    before(() => {
+        repo = createRepo();
+        // Git's default driver only takes lines starting with a letter for function headers
+        const functions = HOSTILE.map((name, index) => `function ${name}() {\n    return ${index};\n}\n`).join('');
+        for (const name of HOSTILE) repo.write(`${name}.txt`, functions);
+        repo.commit('Add files');
+        for (const name of HOSTILE) {
+            repo.write(`${name}.txt`, repo.read(`${name}.txt`).replace(`return ${HOSTILE.indexOf(name)};`, `return ${name.length} * 100;`));
+        }
+        repo.commit('Change each file\'s own function');
+    });
+
+    after(() => {
+        // Nothing ran a command hidden in a name
+        assert.equal(fs.existsSync(repo.file('pwned')), false);
+        assert.equal(fs.existsSync(path.join(process.cwd(), 'pwned')), false);
+        assert.ok(spawned.length > 0);
+        for (const { command, options } of spawned) {
+            assert.equal(command, 'git');
+            assert.ok(!options.shell, 'git must not run through a shell');
+        }
+        repo.remove();
+    });
+
+    test('escapes function names for git\'s funcname regex', () => {
+        assert.equal(escapeFuncname('  a:b.c*[x]^$\\  '), 'a\\:b\\.c\\*\\[x\\]\\^\\$\\\\');
+        assert.equal(escapeFuncname('$(touch pwned)'), '\\$(touch pwned)');
+    });
+
+    test('rejects function names git cannot take', () => {
+        assert.match(validateFunctionName('  '), /empty/);
+        assert.match(validateFunctionName('a\nb'), /line breaks/);
+        assert.match(validateFunctionName('x'.repeat(201)), /too long/);
+        for (const name of HOSTILE) assert.equal(validateFunctionName(name), null);
+    });
+
+    for (const name of HOSTILE) {
+        test(`tracks lines and files named ${name}`, async () => {
+            const filePath = repo.file(`${name}.txt`);
+            const line = HOSTILE.indexOf(name) * 3 + 2;
+            assert.deepEqual(subjects(await getLineHistory(filePath, line, line)), ['Change each file\'s own function', 'Add files']);
+            assert.deepEqual(subjects(await getWorkingTreeHistory(filePath, [[1, 1]], { text: `new\n${repo.read(`${name}.txt`)}` })), ['Uncommitted changes']);
+            assert.deepEqual(subjects(await getFileHistory(filePath)), ['Change each file\'s own function', 'Add files']);
+        });
+
+        test(`finds the function named ${name}`, async () => {
+            const filePath = repo.file('a:b.txt');
+            const expected = name === 'a:b' ? ['Change each file\'s own function', 'Add files'] : ['Add files'];
+            assert.deepEqual(subjects(await getFunctionHistory(filePath, name)), expected);
+            assert.deepEqual(subjects(await getFunctionHistory(repo.file(`${name}.txt`), name)), ['Change each file\'s own function', 'Add files']);
+        });
+
+        test(`searches for the snippet ${name}`, async () => {
+            const filePath = repo.file(`${name}.txt`);
+            const snippet = `return ${name.length} * 100;`;
+            assert.deepEqual(subjects(await searchCodeHistory(filePath, name)), ['Add files']);
+            assert.deepEqual(subjects(await searchCodeHistory(filePath, escapeExtendedRegex(`${name}() {`), { regex: true })), ['Add files']);
+            assert.ok((await searchCodeHistory(filePath, snippet, { allFiles: true }))[0].files.some(file => file.path === `${name}.txt`));
+        });
+    }
+
+    test('passes hostile names through the command line', () => {
+        const run = (...args) => childProcess.spawnSync(process.execPath, [CLI, ...args], { cwd: repo.root, encoding: 'utf8' });
+        for (const name of HOSTILE) {
+            const line = run('line', `./${name}.txt:${HOSTILE.indexOf(name) * 3 + 2}`);
+            assert.equal(line.status, 0, line.stderr);
+            assert.equal(line.stdout.trim().split('\n').length, 2);
+
+            const fn = run('fn', '--', `./${name}.txt`, name);
+            assert.equal(fn.status, 0, fn.stderr);
+            assert.match(fn.stdout, /Change each file's own function/);
+        }
+    });
+});
@@ -0,0 +1,119 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRepo, createToken } = require('./helpers');
+const { GitCancelledError } = require('../src/git');
+const { HistoryCache, withHistoryCache } = require('../src/cache');
+
+describe('memory cache', () => {
+    test('evicts the least recently used entry', async () => {
+        const cache = new HistoryCache({ maxMemoryEntries: 2 });
+        await cache.set('a', 1);
+        await cache.set('b', 2);
+        assert.equal(await cache.get('a'), 1);
+        await cache.set('c', 3);
+
+        assert.equal(await cache.get('b'), undefined);
+        assert.equal(await cache.get('a'), 1);
+        assert.equal(await cache.get('c'), 3);
+    });
+});
+
+describe('disk cache', () => {
+    let storagePath;
+
+    before(() => {
+        storagePath = fs.mkdtempSync(path.join(os.tmpdir(), 'code-history-cache-'));
+    });
+
+    after(() => fs.rmSync(storagePath, { recursive: true, force: true }));
+
+    const entries = () => fs.readdirSync(storagePath).filter(name => name.endsWith('.json'));
+
+    test('serves entries written by an earlier session', async () => {
+        await new HistoryCache({ storagePath }).set('key', { commits: [1] });
+        assert.deepEqual(await new HistoryCache({ storagePath }).get('key'), { commits: [1] });
+    });
+
+    test('prunes the oldest entries at startup', async () => {
+        const writer = new HistoryCache({ storagePath });
+        await writer.clear();
+        const time = Date.now() / 1000;
+        for (let index = 0; index < 6; index++) {
+            await writer.set(`key ${index}`, index);
+            fs.utimesSync(await writer.fileFor(`key ${index}`), time - 60 + index, time - 60 + index);
+        }
+
+        await new HistoryCache({ storagePath, maxDiskEntries: 4 }).prune();
+        assert.equal(entries().length, 4);
+        const reader = new HistoryCache({ storagePath });
+        assert.deepEqual(await Promise.all([0, 1, 2, 5].map(index => reader.get(`key ${index}`))), [undefined, undefined, 2, 5]);
+    });
+
+    test('prunes as entries are written', async () => {
+        const cache = new HistoryCache({ storagePath, maxDiskEntries: 3 });
+        await cache.clear();
+        for (let index = 0; index < 10; index++) await cache.set(`key ${index}`, index);
+        assert.equal(entries().length, 3);
+    });
+});
+
+describe('cache keys', () => {
+    let repo;
+
+    before(() => {
+        repo = createRepo();
+        repo.write('a.txt', 'one\n');
+        repo.commit('Add a');
+    });
+
+    after(() => repo.remove());
+
+    test('stay the same until the repository is invalidated', async () => {
+        const seen = [];
+        const cache = new HistoryCache({ onRepo: root => seen.push(root) });
+        const query = { type: 'lines', ranges: [[1, 1]] };
+        const key = await cache.keyFor(repo.root, 'a.txt', query);
+        assert.notEqual(key, null);
+        assert.notEqual(await cache.keyFor(repo.root, 'a.txt', { type: 'lines', ranges: [[2, 2]] }), key);
+
+        repo.write('a.txt', 'two\n');
+        repo.commit('Change a');
+        assert.equal(await cache.keyFor(repo.root, 'a.txt', query), key);
+        cache.invalidateRepo(repo.root);
+        assert.notEqual(await cache.keyFor(repo.root, 'a.txt', query), key);
+        assert.deepEqual(seen, [repo.root]);
+    });
+
+    test('are null for files missing from HEAD, until they are committed', async () => {
+        const cache = new HistoryCache();
+        assert.equal(await cache.keyFor(repo.root, 'b.txt', {}), null);
+        repo.write('b.txt', 'b\n');
+        repo.commit('Add b');
+        assert.notEqual(await cache.keyFor(repo.root, 'b.txt', {}), null);
+    });
+
+    test('are still found when the caller that started the lookup cancels', async () => {
+        const cache = new HistoryCache();
+        const token = createToken();
+        const cancelled = cache.keyFor(repo.root, 'a.txt', {}, { token });
+        const waiting = cache.keyFor(repo.root, 'a.txt', {}, { token: createToken() });
+        token.cancel();
+
+        await assert.rejects(cancelled, GitCancelledError);
+        assert.notEqual(await waiting, null);
+        await assert.rejects(cache.keyFor(repo.root, 'a.txt', {}, { token }), GitCancelledError);
+    });
+
+    test('serve a query from the cache once it is computed', async () => {
+        const cache = new HistoryCache();
+        let runs = 0;
+        const compute = async () => ++runs;
+        assert.equal(await withHistoryCache(cache, repo.root, 'a.txt', {}, {}, compute), 1);
+        assert.equal(await withHistoryCache(cache, repo.root, 'a.txt', {}, {}, compute), 1);
+        assert.equal(await withHistoryCache(cache, repo.root, 'missing.txt', {}, {}, compute), 2);
+        assert.equal(await withHistoryCache(null, repo.root, 'a.txt', {}, {}, compute), 3);
+    });
+});
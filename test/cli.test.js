@@ -0,0 +1,81 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const path = require('path');
+const { createRepo } = require('./helpers');
+
+const CLI = path.join(__dirname, '..', 'bin', 'code-history.js');
+
+describe('code-history', () => {
+    let repo;
+    let reformat;
+
+    // Run the command line in the repository, resolving to its exit code and output
+    const run = (...args) => {
+        const result = spawnSync(process.execPath, [CLI, ...args], { cwd: repo.root, encoding: 'utf8' });
+        return { status: result.status, stdout: result.stdout, stderr: result.stderr };
+    };
+    const lines = output => output.trim().split('\n').map(line => line.split('  ').pop());
+
+    before(() => {
+        repo = createRepo();
+        repo.write('src/app.js', 'function greet(name) {\nreturn name;\n}\n\nconst build = () => {\n    return 1;\n};\n');
+        repo.commit('Add app');
+        repo.write('src/app.js', 'function greet(name) {\n    return name;\n}\n\nconst build = () => {\n    return 1;\n};\n');
+        reformat = repo.commit('Reformat');
+        repo.write('src/app.js', 'function greet(name) {\n    return `Hi ${name}`;\n}\n\nconst build = () => {\n    return 2;\n};\n');
+        repo.commit('Greet and build', { author: 'Grace' });
+        repo.git(['mv', 'src/app.js', 'src/main.js']);
+        repo.commit('Rename app');
+    });
+
+    after(() => repo.remove());
+
+    test('prints the history of a line', () => {
+        const { status, stdout } = run('line', 'src/main.js:2');
+        assert.equal(status, 0);
+        assert.deepEqual(lines(stdout), ['Greet and build', 'Reformat', 'Add app']);
+        assert.match(stdout, /^[0-9a-f]{7} {2}\d{4}-\d{2}-\d{2} \d{2}:\d{2} {2}Grace {2}Greet and build$/m);
+    });
+
+    test('prints the history of a function', () => {
+        assert.deepEqual(lines(run('fn', 'src/main.js', 'greet').stdout), ['Greet and build', 'Reformat', 'Add app']);
+        // Not a `function` declaration, which the JavaScript template expects
+        assert.deepEqual(lines(run('fn', 'src/main.js', 'build').stdout), ['Greet and build', 'Add app']);
+    });
+
+    test('leaves out ignored and whitespace-only commits', () => {
+        assert.deepEqual(lines(run('line', 'src/main.js:2', '--ignore-rev', reformat.slice(0, 7)).stdout), ['Greet and build', 'Add app']);
+        assert.deepEqual(lines(run('fn', 'src/main.js', 'greet', '--ignore-whitespace').stdout), ['Greet and build', 'Add app']);
+    });
+
+    test('pages and prints JSON with diffs', () => {
+        const { status, stdout } = run('line', 'src/main.js:1-3', '--json', '-n', '1');
+        assert.equal(status, 0);
+        const commits = JSON.parse(stdout);
+        assert.equal(commits.length, 1);
+        assert.equal(commits[0].subject, 'Greet and build');
+        assert.equal(commits[0].path, 'src/app.js');
+        assert.ok(commits[0].hunks[0].lines.some(line => line.type === 'add' && line.text === '    return `Hi ${name}`;'));
+
+        assert.match(run('line', 'src/main.js:2', '--diff', '-n', '1').stdout, /^\+ {4}return `Hi \$\{name\}`;$/m);
+    });
+
+    test('reports usage errors with exit code 2', () => {
+        for (const args of [['line', 'src/main.js'], ['line', 'src/main.js:3-1'], ['fn', 'src/main.js'], ['blame'], ['line', 'src/main.js:2', '--bogus'], ['line', 'src/main.js:2', '--ignore-rev', 'HEAD'], ['line', 'src/main.js:2', '--all']]) {
+            const { status, stderr } = run(...args);
+            assert.equal(status, 2, args.join(' '));
+            assert.match(stderr, /^code-history: .+\nUsage:/);
+        }
+        assert.equal(run('--help').status, 0);
+    });
+
+    test('reports git errors with exit code 1', () => {
+        const { status, stderr } = run('fn', 'src/main.js', 'missing');
+        assert.equal(status, 1);
+        assert.match(stderr, /^code-history: .*no match/);
+
+        repo.write('notes.txt', 'draft\n');
+        assert.match(run('line', 'notes.txt:1').stderr, /notes\.txt is not tracked by git yet/);
+    });
+});
@@ -0,0 +1,79 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { makeCommit } = require('./helpers');
+const { buildLinks, parseRemoteUrl } = require('../src/autolinks');
+const { describeQuery, formatReport } = require('../src/export');
+
+const links = buildLinks(parseRemoteUrl('git@github.com:owner/repo.git'));
+const commits = [
+    makeCommit({
+        hash: '1a2b3c4d'.repeat(5),
+        subject: 'Fix #12 in *bold*',
+        body: 'Closes #12',
+        author: { name: 'Grace', email: 'grace@example.com', date: '2024-01-02T00:00:00Z' },
+        files: [{ status: 'M', similarity: null, oldPath: null, path: 'a|b.js' }],
+        diff: '--- a/a.js\n+++ b/a.js\n+const fence = "```";'
+    }),
+    makeCommit({ subject: 'Add a' })
+];
+
+describe('describeQuery', () => {
+    test('keeps the parameters of each query type', () => {
+        assert.deepEqual(describeQuery({ type: 'lines', ranges: [[3, 5]] }, { file: 'a.js', revision: 'main' }), {
+            type: 'lines', file: 'a.js', revision: 'main', ranges: [[3, 5]]
+        });
+        assert.deepEqual(describeQuery({ type: 'search', snippet: 'x' }, { file: 'a.js' }), {
+            type: 'search', file: 'a.js', snippet: 'x', regex: false, allFiles: false
+        });
+        assert.deepEqual(describeQuery({ type: 'function', functionName: 'run', range: [4, 9] }), {
+            type: 'function', functionName: 'run', ranges: [[4, 9]]
+        });
+    });
+});
+
+describe('formatReport', () => {
+    const query = { type: 'lines', title: 'History of *a.js*', ranges: [[3, 5]] };
+    const context = { file: 'a|b.js', repository: 'repo' };
+
+    test('writes Markdown with escaped text and linked references', () => {
+        const markdown = formatReport('markdown', query, commits, context, { links, dateFormat: 'iso', complete: false });
+        const lines = markdown.split('\n');
+
+        assert.equal(lines[0], '# History of \\*a\\.js\\*');
+        assert.ok(lines.includes('| File | `a\\|b.js` |'));
+        assert.ok(lines.includes('| Commits | 2 newest \\(more not loaded\\) |'));
+        assert.ok(lines.includes(
+            '## 2. [`1a2b3c4`](https://github.com/owner/repo/commit/' + commits[0].hash + ') ' +
+            'Fix [\\#12](https://github.com/owner/repo/issues/12) in \\*bold\\*'
+        ));
+        assert.ok(lines.includes('Grace \\<grace@example\\.com\\> · 2024-01-02T00:00:00Z'));
+        // Longer than the backticks in the diff
+        assert.ok(lines.includes('````diff'));
+    });
+
+    test('keeps parentheses in link URLs from ending the link', () => {
+        const wikiLinks = buildLinks(null, [{ pattern: 'WIKI-(\\d+)', url: 'https://example.com/Page_(old)/$1' }]);
+        const markdown = formatReport('markdown', query, [makeCommit({ subject: 'See WIKI-7' })], context, { links: wikiLinks });
+        assert.match(markdown, /See \[WIKI\\-7\]\(https:\/\/example\.com\/Page_%28old%29\/7\)$/m);
+    });
+
+    test('writes JSON with the parsed commits', () => {
+        const report = JSON.parse(formatReport('json', query, commits, context, { exportedAt: '2024-05-01T00:00:00.000Z' }));
+        assert.equal(report.title, query.title);
+        assert.deepEqual(report.query, { type: 'lines', repository: 'repo', file: 'a|b.js', ranges: [[3, 5]] });
+        assert.equal(report.exportedAt, '2024-05-01T00:00:00.000Z');
+        assert.equal(report.complete, true);
+        assert.deepEqual(report.commits, commits);
+    });
+
+    test('writes a standalone HTML page', () => {
+        const html = formatReport('html', query, commits, context, { links });
+        assert.match(html, /<title>History of \*a\.js\*<\/title>/);
+        assert.match(html, /a\|b\.js/);
+        assert.doesNotMatch(html, /<script/);
+    });
+
+    test('rejects unknown formats', () => {
+        assert.throws(() => formatReport('pdf', query, commits, context), /Unknown export format: pdf/);
+    });
+});
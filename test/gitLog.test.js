@@ -0,0 +1,111 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRepo } = require('./helpers');
+const { LOG_FORMAT_ARGS, parseGitLog, parseNameStatus, isWhitespaceOnlyChange, unquotePath } = require('../src/gitLog');
+
+describe('parseGitLog', () => {
+    let repo;
+    const log = args => parseGitLog(repo.git(['log', ...LOG_FORMAT_ARGS, ...args]));
+
+    before(() => {
+        repo = createRepo();
+        repo.write('a.txt', 'one\ntwo\nthree\n');
+        repo.commit('Add a');
+        repo.git(['checkout', '--quiet', '-b', 'feature']);
+        repo.write('a.txt', 'one\ntwo\nthree\nfour\n');
+        repo.commit('Add four\n\nA body with\nseveral lines.\n\n- and a list\n- after a blank line\n', { author: 'Grace' });
+        repo.git(['checkout', '--quiet', 'main']);
+        repo.write('b.txt', 'b\n');
+        repo.commit('Add b');
+        repo.merge('feature', 'Merge feature');
+        repo.git(['mv', 'a.txt', 'renamed a.txt']);
+        repo.write('renamed a.txt', 'one\n    two\nthree\nfour\n');
+        repo.commit('Rename a');
+    });
+
+    after(() => repo.remove());
+
+    test('reads the fields of every commit', () => {
+        const commits = log(['--date-order']);
+        assert.deepEqual(commits.map(commit => commit.subject), ['Rename a', 'Merge feature', 'Add b', 'Add four', 'Add a']);
+
+        const [rename, merge] = commits;
+        assert.match(rename.hash, /^[0-9a-f]{40}$/);
+        assert.deepEqual(rename.parents, [merge.hash]);
+        assert.deepEqual(rename.refs, ['HEAD -> main']);
+        assert.equal(rename.author.name, 'Ada');
+        assert.equal(rename.author.email, 'ada@example.com');
+        assert.equal(Date.parse(rename.author.date), Date.parse(rename.committer.date));
+    });
+
+    test('keeps multi-line messages apart from the subject', () => {
+        const [commit] = log(['-n', '1', 'feature']);
+        assert.equal(commit.subject, 'Add four');
+        assert.equal(commit.body, 'A body with\nseveral lines.\n\n- and a list\n- after a blank line');
+        assert.equal(commit.author.name, 'Grace');
+    });
+
+    test('lists both parents of a merge', () => {
+        const [merge] = log(['-n', '1', '--merges']);
+        assert.equal(merge.subject, 'Merge feature');
+        assert.equal(merge.parents.length, 2);
+        assert.equal(merge.body, '');
+    });
+
+    test('reads renames from --name-status', () => {
+        const [commit] = log(['-n', '1', '-M', '--name-status']);
+        assert.deepEqual(commit.files, [{ status: 'R', similarity: commit.files[0].similarity, oldPath: 'a.txt', path: 'renamed a.txt' }]);
+        assert.ok(commit.files[0].similarity >= 50);
+        assert.deepEqual(commit.hunks, []);
+    });
+
+    test('splits -L output into hunks with the path at each commit', () => {
+        const commits = log(['-L', '2,4:renamed a.txt']);
+        assert.deepEqual(commits.map(commit => commit.subject), ['Rename a', 'Add four', 'Add a']);
+        assert.deepEqual(commits.map(commit => commit.path), ['renamed a.txt', 'a.txt', 'a.txt']);
+
+        const [hunk] = commits[0].hunks;
+        assert.equal(hunk.oldPath, 'a.txt');
+        assert.equal(hunk.newPath, 'renamed a.txt');
+        assert.deepEqual([hunk.oldStart, hunk.oldLines, hunk.newStart, hunk.newLines], [2, 3, 2, 3]);
+        assert.deepEqual(hunk.lines, [
+            { type: 'delete', text: 'two' },
+            { type: 'add', text: '    two' },
+            { type: 'context', text: 'three' },
+            { type: 'context', text: 'four' }
+        ]);
+
+        const added = commits[2].hunks[0];
+        assert.equal(added.oldPath, null);
+        assert.deepEqual([added.oldLines, added.newStart, added.newLines], [0, 2, 2]);
+    });
+
+    test('tells whitespace-only changes apart', () => {
+        const [reindent, addFour] = log(['-L', '2,4:renamed a.txt']);
+        assert.equal(isWhitespaceOnlyChange(reindent), true);
+        assert.equal(isWhitespaceOnlyChange(addFour), false);
+    });
+});
+
+describe('parseNameStatus', () => {
+    test('returns the text after the status lines', () => {
+        const { files, remainder } = parseNameStatus('M\ta.txt\nC75\tb.txt\tc.txt\n\ndiff --git a/a.txt b/a.txt');
+        assert.deepEqual(files, [
+            { status: 'M', similarity: null, oldPath: null, path: 'a.txt' },
+            { status: 'C', similarity: 75, oldPath: 'b.txt', path: 'c.txt' }
+        ]);
+        assert.equal(remainder, 'diff --git a/a.txt b/a.txt');
+    });
+
+    test('unquotes the paths', () => {
+        const { files } = parseNameStatus('A\t"tab\\there \\"q\\" \\303\\274.txt"');
+        assert.equal(files[0].path, 'tab\there "q" ü.txt');
+    });
+});
+
+describe('unquotePath', () => {
+    test('unquotes paths git quoted', () => {
+        assert.equal(unquotePath('"tab\\there \\"q\\" \\303\\274.txt"'), 'tab\there "q" ü.txt');
+        assert.equal(unquotePath('plain name.txt'), 'plain name.txt');
+    });
+});
@@ -0,0 +1,124 @@
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep the user's git configuration (diff.noprefix, blame.ignoreRevsFile,
+// ...) away from the git processes the tests and the modules start
+process.env.GIT_CONFIG_GLOBAL = os.devNull;
+process.env.GIT_CONFIG_NOSYSTEM = '1';
+
+/**
+ * First commit date; each commit is a minute after the one before, so
+ * histories sort the same way on every run
+ */
+const EPOCH = Date.parse('2024-01-01T00:00:00Z') / 1000;
+
+/**
+ * Create a git repository in a temporary directory. `commit` stages
+ * everything and commits it as `author` (default "Ada"), `merge` merges a
+ * branch with a merge commit; both return the new commit's hash. `remove`
+ * deletes the directory.
+ */
+function createRepo() {
+    // Git reports the resolved path (/private/var on macOS)
+    const root = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'code-history-')));
+    let clock = 0;
+
+    const git = (args, env = {}) => execFileSync('git', args, {
+        cwd: root,
+        encoding: 'utf8',
+        env: { ...process.env, ...env }
+    });
+
+    const dated = author => {
+        const date = `@${EPOCH + 60 * clock++} +0000`;
+        return {
+            GIT_AUTHOR_NAME: author,
+            GIT_AUTHOR_EMAIL: `${author.toLowerCase()}@example.com`,
+            GIT_AUTHOR_DATE: date,
+            GIT_COMMITTER_DATE: date
+        };
+    };
+
+    git(['init', '--quiet', '--initial-branch=main']);
+    git(['config', 'user.name', 'Ada']);
+    git(['config', 'user.email', 'ada@example.com']);
+
+    return {
+        root,
+        git,
+        file: name => path.join(root, name),
+        write(name, content) {
+            fs.mkdirSync(path.dirname(path.join(root, name)), { recursive: true });
+            fs.writeFileSync(path.join(root, name), content);
+        },
+        read: name => fs.readFileSync(path.join(root, name), 'utf8'),
+        commit(message, { author = 'Ada' } = {}) {
+            git(['add', '--all']);
+            git(['commit', '--quiet', '--allow-empty', '-m', message], dated(author));
+            return git(['rev-parse', 'HEAD']).trim();
+        },
+        merge(branch, message) {
+            git(['merge', '--quiet', '--no-ff', '-m', message, branch], dated('Ada'));
+            return git(['rev-parse', 'HEAD']).trim();
+        },
+        remove() {
+            fs.rmSync(root, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * The subjects of a list of commits, newest first as given
+ */
+function subjects(commits) {
+    return commits.map(commit => commit.subject);
+}
+
+/**
+ * A commit shaped like parseGitLog's, for tests that need no repository;
+ * `fields` replace the defaults
+ */
+function makeCommit(fields = {}) {
+    const author = fields.author || { name: 'Ada', email: 'ada@example.com', date: '2024-01-01T00:00:00Z' };
+    return {
+        hash: 'a'.repeat(40),
+        parents: [],
+        refs: [],
+        author,
+        committer: author,
+        subject: 'Change',
+        body: '',
+        files: [],
+        path: 'a.js',
+        diff: '',
+        hunks: [],
+        ...fields
+    };
+}
+
+/**
+ * A cancellation token like vscode.CancellationTokenSource's, with `cancel`
+ */
+function createToken() {
+    const listeners = new Set();
+    return {
+        isCancellationRequested: false,
+        onCancellationRequested(listener) {
+            listeners.add(listener);
+            return { dispose: () => listeners.delete(listener) };
+        },
+        cancel() {
+            this.isCancellationRequested = true;
+            listeners.forEach(listener => listener());
+        }
+    };
+}
+
+module.exports = {
+    createRepo,
+    subjects,
+    makeCommit,
+    createToken
+};
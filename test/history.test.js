@@ -0,0 +1,351 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { createRepo, subjects } = require('./helpers');
+const { ALL_REVISIONS, setGitPath } = require('../src/git');
+const { funcnameForLanguage } = require('../src/functions');
+const {
+    getLineHistory,
+    getWorkingTreeHistory,
+    getFunctionHistory,
+    getFunctionAtRevision,
+    getCodeOrigins,
+    searchCodeHistory,
+    getFileHistory,
+    getChangedFiles,
+    getBaseBranch,
+    getContainingRefs,
+    getCommitsNotIn,
+    resolveIgnoredRevisions
+} = require('../src/history');
+
+const APP = `const config = {};
+
+function greet(name) {
+    return 'Hello ' + name;
+}
+
+const makeThing = () => {
+    return { id: 1 };
+};
+
+class Service {
+    run() {
+        return 1;
+    }
+}
+`;
+
+describe('line history', () => {
+    let repo;
+
+    before(() => {
+        repo = createRepo();
+        repo.write('lib.js', 'line 1\nline 2\nline 3\nline 4\nline 5\n');
+        repo.commit('Add lib');
+        repo.write('lib.js', 'line 1\nline 2\nline three\nline 4\nline 5\n');
+        repo.commit('Change three', { author: 'Grace' });
+        repo.git(['mv', 'lib.js', 'lib file.js']);
+        repo.commit('Move lib');
+        repo.write('lib file.js', 'line 1\nline 2\nline three\nline 4\nline five\n');
+        repo.commit('Change five');
+    });
+
+    after(() => repo.remove());
+
+    test('follows lines across a rename', async () => {
+        const commits = await getLineHistory(repo.file('lib file.js'), 3, 3);
+        assert.deepEqual(subjects(commits), ['Change three', 'Add lib']);
+        assert.deepEqual(commits.map(commit => commit.path), ['lib.js', 'lib.js']);
+        assert.equal(commits[0].author.name, 'Grace');
+    });
+
+    test('maps the lines of an edited buffer to HEAD', async () => {
+        const text = `added\n${repo.read('lib file.js')}`.replace('line 1', 'line one');
+        const commits = await getWorkingTreeHistory(repo.file('lib file.js'), [[2, 2], [4, 4], [6, 6]], { text });
+
+        assert.deepEqual(subjects(commits), ['Uncommitted changes', 'Change five', 'Change three', 'Add lib']);
+        assert.equal(commits[0].uncommitted, 'unstaged');
+        // Labelled with the buffer's line numbers, not HEAD's
+        assert.deepEqual(commits.slice(1).map(commit => commit.ranges), [[[6, 6]], [[4, 4]], [[4, 4], [6, 6]]]);
+    });
+
+    test('pages through uncommitted changes and commits alike', async () => {
+        const filePath = repo.file('lib file.js');
+        const text = `added\n${repo.read('lib file.js')}`;
+        const first = await getWorkingTreeHistory(filePath, [[1, 1], [4, 4]], { text, maxCommits: 2 });
+        const second = await getWorkingTreeHistory(filePath, [[1, 1], [4, 4]], { text, skip: 2, maxCommits: 2 });
+
+        assert.deepEqual(subjects(first), ['Uncommitted changes', 'Change three']);
+        assert.deepEqual(subjects(second), ['Add lib']);
+    });
+
+    test('explains files git does not track', async () => {
+        repo.write('scratch.txt', 'draft\n');
+        await assert.rejects(getWorkingTreeHistory(repo.file('scratch.txt'), [[1, 1]]), /scratch\.txt is not tracked by git yet/);
+    });
+});
+
+describe('function history', () => {
+    let repo;
+    let added;
+
+    before(() => {
+        repo = createRepo();
+        repo.write('app.js', APP);
+        added = repo.commit('Add app');
+        repo.write('app.js', repo.read('app.js').replace("'Hello '", "'Hi '"));
+        repo.commit('Change greet');
+        repo.write('app.js', repo.read('app.js').replace('id: 1', 'id: 2'));
+        repo.commit('Change makeThing');
+
+        repo.git(['checkout', '--quiet', '-b', 'experiment']);
+        repo.write('app.js', repo.read('app.js').replace("'Hi ' + name", "`Hi ${name}`"));
+        repo.commit('Experiment with greet');
+        repo.git(['checkout', '--quiet', 'main']);
+        repo.write('app.js', repo.read('app.js').replace('    run() {', '    helper() {\n        return 0;\n    }\n\n    run() {').replace('return 1;', 'return 2;'));
+        repo.commit('Change run');
+    });
+
+    after(() => repo.remove());
+
+    test('finds a function by name', async () => {
+        const commits = await getFunctionHistory(repo.file('app.js'), 'greet');
+        assert.deepEqual(subjects(commits), ['Change greet', 'Add app']);
+    });
+
+    test('falls back to the name when the language template misses the declaration', async () => {
+        const funcname = funcnameForLanguage('javascript', 'makeThing');
+        const commits = await getFunctionHistory(repo.file('app.js'), 'makeThing', { funcname });
+        assert.deepEqual(subjects(commits), ['Change makeThing', 'Add app']);
+    });
+
+    test('maps the range of a function in an edited buffer to HEAD', async () => {
+        const text = `// header\n// more\n${repo.read('app.js')}`;
+        const start = text.split('\n').indexOf('    run() {') + 1;
+        const commits = await getFunctionHistory(repo.file('app.js'), 'run', { text, range: [start, start + 2] });
+        assert.deepEqual(subjects(commits), ['Change run', 'Add app']);
+
+        const fresh = await getFunctionHistory(repo.file('app.js'), 'draft', { text: `${text}function draft() {}\n`, range: [22, 22] });
+        assert.deepEqual(fresh, []);
+    });
+
+    test('follows a function on every branch', async () => {
+        const commits = await getFunctionHistory(repo.file('app.js'), 'greet', { revision: ALL_REVISIONS });
+        assert.deepEqual(subjects(commits), ['Experiment with greet', 'Change greet', 'Add app']);
+    });
+
+    test('follows a function through a merge', async () => {
+        const merge = repo.merge('experiment', 'Merge experiment');
+        try {
+            const commits = await getFunctionHistory(repo.file('app.js'), 'greet');
+            assert.deepEqual(subjects(commits), ['Experiment with greet', 'Change greet', 'Add app']);
+
+            // Compared with the first parent, the merge brings in the experiment
+            const parents = repo.git(['rev-parse', `${merge}^1`, `${merge}^2`]).trim().split('\n');
+            assert.deepEqual(await getChangedFiles(repo.root, { hash: merge, parents }), [{ status: 'M', similarity: null, oldPath: null, path: 'app.js' }]);
+        } finally {
+            repo.git(['reset', '--quiet', '--hard', 'HEAD^']);
+        }
+    });
+
+    test('reads a function at a revision by its lines or by name', async () => {
+        const [newest] = await getFunctionHistory(repo.file('app.js'), 'run', { range: [16, 18] });
+        const { newStart, newLines } = newest.hunks[0];
+        assert.equal(
+            await getFunctionAtRevision(repo.root, newest.hash, 'app.js', [newStart, newStart + newLines - 1]),
+            '    run() {\n        return 2;\n    }\n'
+        );
+
+        const greet = await getFunctionAtRevision(repo.root, added, 'app.js', funcnameForLanguage('javascript', 'greet'));
+        assert.equal(greet.split('\n')[1], "    return 'Hello ' + name;");
+        await assert.rejects(getFunctionAtRevision(repo.root, added, 'app.js', [40, 42]), /No lines 40-42 in app\.js/);
+    });
+});
+
+describe('moved code', () => {
+    let repo;
+    let added;
+    let changed;
+
+    const helper = field => `function computeTotalPriceOfTheItemsInTheCart(items, discountRate) {\n    return items.reduce((sum, item) => sum + item.price * item.${field}, 0);\n}\n`;
+
+    before(() => {
+        repo = createRepo();
+        repo.write('a.js', `const unrelated = 'this line stays in a.js';\n${helper('quantity')}`);
+        added = repo.commit('Add helper');
+        repo.write('a.js', `const unrelated = 'this line stays in a.js';\n${helper('count')}`);
+        changed = repo.commit('Change helper');
+        repo.write('a.js', 'const unrelated = \'this line stays in a.js\';\n');
+        repo.write('b.js', `// Pricing helpers, moved out of a.js\n${helper('count')}`);
+        repo.commit('Move helper');
+    });
+
+    after(() => repo.remove());
+
+    test('blames moved lines on the commits that wrote them in the other file', async () => {
+        const origins = await getCodeOrigins(repo.root, 'b.js', 2, 3);
+        assert.deepEqual(origins.map(origin => [origin.hash, origin.path, origin.origStart, origin.finalStart]), [
+            [added, 'a.js', 2, 2],
+            [changed, 'a.js', 3, 3]
+        ]);
+    });
+
+    test('continues the history in the file the lines came from', async () => {
+        assert.deepEqual(subjects(await getLineHistory(repo.file('b.js'), 2, 4)), ['Move helper']);
+
+        const [moved, ...before] = await getLineHistory(repo.file('b.js'), 2, 4, { detectMoves: true });
+        assert.equal(moved.subject, 'Move helper');
+        assert.deepEqual(subjects(before).sort(), ['Add helper', 'Change helper']);
+        assert.deepEqual(before.find(commit => commit.hash === changed).movedFrom, { path: 'a.js', lines: [3, 3] });
+    });
+
+    test('continues the history when only the first line can be followed', async () => {
+        // Like older gits, refuse a range running past the end of the file
+        const gitPath = path.join(repo.root, '.git', 'strict-git');
+        fs.writeFileSync(gitPath, '#!/bin/sh\ncase " $* " in *" -L 2,40:"*) echo "fatal: file has only 4 lines" >&2; exit 128;; esac\nexec git "$@"\n', { mode: 0o755 });
+        setGitPath(gitPath);
+        try {
+            const commits = await getLineHistory(repo.file('b.js'), 2, 40, { detectMoves: true });
+            assert.deepEqual(subjects(commits), ['Move helper', 'Add helper']);
+        } finally {
+            setGitPath('');
+        }
+    });
+});
+
+describe('code search', () => {
+    let repo;
+
+    before(() => {
+        repo = createRepo();
+        repo.write('a.js', 'const total = price * count;\n');
+        repo.commit('Add total');
+        repo.write('b.js', 'log(price * count);\n');
+        repo.commit('Log the total');
+        repo.write('a.js', 'const total = price * amount;\n');
+        repo.commit('Rename count');
+    });
+
+    after(() => repo.remove());
+
+    test('finds the commits that added or removed a snippet', async () => {
+        assert.deepEqual(subjects(await searchCodeHistory(repo.file('a.js'), 'price * count')), ['Rename count', 'Add total']);
+        assert.deepEqual(subjects(await searchCodeHistory(repo.file('a.js'), 'price * count', { maxCommits: 1, skip: 1 })), ['Add total']);
+    });
+
+    test('matches changed lines against a regex', async () => {
+        const commits = await searchCodeHistory(repo.file('a.js'), 'price \\* (count|amount)', { regex: true });
+        assert.deepEqual(subjects(commits), ['Rename count', 'Add total']);
+    });
+
+    test('searches every file and lists the matching ones', async () => {
+        const commits = await searchCodeHistory(repo.file('a.js'), 'log(price', { allFiles: true });
+        assert.deepEqual(subjects(commits), ['Log the total']);
+        assert.deepEqual(commits[0].files.map(file => file.path), ['b.js']);
+    });
+});
+
+describe('file history', () => {
+    let repo;
+
+    before(() => {
+        repo = createRepo();
+        repo.write('old.txt', 'a\nb\nc\n');
+        repo.commit('Add old');
+        repo.git(['mv', 'old.txt', 'new name.txt']);
+        repo.commit('Rename old');
+        repo.write('new name.txt', 'a\nb\nc\nd\n');
+        repo.commit('Extend new');
+    });
+
+    after(() => repo.remove());
+
+    test('follows the file across renames', async () => {
+        const commits = await getFileHistory(repo.file('new name.txt'));
+        assert.deepEqual(subjects(commits), ['Extend new', 'Rename old', 'Add old']);
+        assert.deepEqual(commits[1].files, [{ status: 'R', similarity: 100, oldPath: 'old.txt', path: 'new name.txt' }]);
+        assert.deepEqual(commits[2].files, [{ status: 'A', similarity: null, oldPath: null, path: 'old.txt' }]);
+    });
+
+    test('stops at the rename when asked to', async () => {
+        const commits = await getFileHistory(repo.file('new name.txt'), { followRenames: false });
+        assert.deepEqual(subjects(commits), ['Extend new', 'Rename old']);
+    });
+});
+
+describe('branch containment', () => {
+    let repo;
+    let first;
+    let feature;
+    let latest;
+
+    before(() => {
+        repo = createRepo();
+        repo.write('a.txt', 'a\n');
+        first = repo.commit('Add a');
+        repo.git(['tag', 'v1']);
+        repo.git(['checkout', '--quiet', '-b', 'feature']);
+        repo.write('b.txt', 'b\n');
+        feature = repo.commit('Add b');
+        repo.git(['checkout', '--quiet', 'main']);
+        repo.write('c.txt', 'c\n');
+        latest = repo.commit('Add c');
+    });
+
+    after(() => repo.remove());
+
+    test('lists the branches and tags containing each commit', async () => {
+        assert.deepEqual(await getContainingRefs(repo.root, [first, feature, latest]), {
+            [first]: { branches: ['feature', 'main'], tags: ['v1'] },
+            [feature]: { branches: ['feature'], tags: [] },
+            [latest]: { branches: ['main'], tags: [] }
+        });
+    });
+
+    test('finds the commits a base does not contain, however it is named', async () => {
+        const hashes = [first, feature, latest];
+        for (const base of ['main', 'refs/heads/main', latest]) {
+            assert.deepEqual(await getCommitsNotIn(repo.root, hashes, base), new Set([feature]), base);
+        }
+        assert.deepEqual(await getCommitsNotIn(repo.root, hashes, 'v1'), new Set([feature, latest]));
+        assert.deepEqual(await getCommitsNotIn(repo.root, [], 'main'), new Set());
+    });
+
+    test('picks the base branch', async () => {
+        assert.equal(await getBaseBranch(repo.root, ''), 'main');
+        assert.equal(await getBaseBranch(repo.root, 'feature'), 'feature');
+        assert.equal(await getBaseBranch(repo.root, 'missing'), null);
+    });
+});
+
+describe('ignored revisions', () => {
+    let repo;
+    let reformat;
+
+    before(() => {
+        repo = createRepo();
+        repo.write('a.js', 'function f() {\nreturn 1;\n}\n');
+        repo.commit('Add f');
+        repo.write('a.js', 'function f() {\n    return 1;\n}\n');
+        reformat = repo.commit('Reformat');
+        repo.write('a.js', 'function f() {\n    return 2;\n}\n');
+        repo.commit('Return 2');
+        repo.write('.git-blame-ignore-revs', `# formatting\n${reformat}\n`);
+        repo.commit('Ignore the reformat');
+    });
+
+    after(() => repo.remove());
+
+    test('reads .git-blame-ignore-revs', async () => {
+        assert.deepEqual(await resolveIgnoredRevisions(repo.root), [reformat]);
+        assert.deepEqual(await resolveIgnoredRevisions(repo.root, { ignoreRevsFile: false, ignoreRevisions: ['ZZZ', reformat.slice(0, 7)] }), [reformat.slice(0, 7)]);
+    });
+
+    test('leaves the listed commits out of line and function histories', async () => {
+        assert.deepEqual(subjects(await getLineHistory(repo.file('a.js'), 1, 3)), ['Return 2', 'Add f']);
+        assert.deepEqual(subjects(await getFunctionHistory(repo.file('a.js'), 'f')), ['Return 2', 'Add f']);
+        assert.deepEqual(subjects(await getLineHistory(repo.file('a.js'), 1, 3, { ignoreRevsFile: false })), ['Return 2', 'Reformat', 'Add f']);
+    });
+});
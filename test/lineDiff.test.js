@@ -0,0 +1,46 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { splitLines, diffLines, mapLineToOld, mapChangedLineToOld } = require('../src/lineDiff');
+
+describe('splitLines', () => {
+    test('ignores line endings and the final newline', () => {
+        assert.deepEqual(splitLines('a\r\nb\nc\n'), ['a', 'b', 'c']);
+        assert.deepEqual(splitLines('a\n\n'), ['a', '']);
+        assert.deepEqual(splitLines(''), []);
+    });
+});
+
+describe('diffLines', () => {
+    test('finds changed, deleted and inserted lines', () => {
+        assert.deepEqual(diffLines(['a', 'b', 'c'], ['a', 'x', 'c']), [{ oldStart: 1, oldCount: 1, newStart: 1, newCount: 1 }]);
+        assert.deepEqual(diffLines(['a', 'b', 'c', 'd'], ['a', 'c', 'd', 'e']), [
+            { oldStart: 1, oldCount: 1, newStart: 1, newCount: 0 },
+            { oldStart: 4, oldCount: 0, newStart: 3, newCount: 1 }
+        ]);
+        assert.deepEqual(diffLines(['a'], ['a']), []);
+    });
+
+    test('reports one region when the lines have nothing in common', () => {
+        const oldLines = Array.from({ length: 1200 }, (_, index) => `old ${index}`);
+        const newLines = Array.from({ length: 1200 }, (_, index) => `new ${index}`);
+        assert.deepEqual(diffLines(['same', ...oldLines, 'end'], ['same', ...newLines, 'end']), [
+            { oldStart: 1, oldCount: 1200, newStart: 1, newCount: 1200 }
+        ]);
+    });
+});
+
+describe('mapping lines to the old side', () => {
+    const regions = diffLines(['a', 'b', 'c', 'd'], ['a', 'c', 'D', 'd', 'e']);
+
+    test('shifts unchanged lines past the edits before them', () => {
+        assert.deepEqual([0, 1, 2, 3, 4].map(line => mapLineToOld(regions, line)), [0, 2, null, 3, null]);
+    });
+
+    test('finds the old lines a changed line replaced', () => {
+        const replaced = diffLines(['a', 'b', 'c'], ['a', 'B', 'C', 'c']);
+        assert.deepEqual(mapChangedLineToOld(replaced, 2), [1, 1]);
+        assert.equal(mapChangedLineToOld(replaced, 0), null);
+        // Only inserted, nothing replaced
+        assert.equal(mapChangedLineToOld(regions, 2), null);
+    });
+});
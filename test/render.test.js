@@ -0,0 +1,69 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { makeCommit } = require('./helpers');
+const { ALL_REVISIONS } = require('../src/git');
+const {
+    formatCommitsHTML,
+    formatRelativeDate,
+    formatLineRanges,
+    formatRevision,
+    escapeHTML,
+    escapeMarkdown,
+    markdownUrl
+} = require('../src/render');
+
+const XSS = '<img src=x onerror="alert(1)">';
+
+describe('escaping', () => {
+    test('escapes HTML', () => {
+        assert.equal(escapeHTML(`<a href="x" title='y'>&</a>`), '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;&amp;&lt;/a&gt;');
+    });
+
+    test('escapes Markdown', () => {
+        assert.equal(escapeMarkdown('*a* [b](c) #1 <x> `d`'), '\\*a\\* \\[b\\]\\(c\\) \\#1 \\<x\\> \\`d\\`');
+    });
+
+    test('encodes Markdown link URLs', () => {
+        assert.equal(markdownUrl('https://example.com/Foo_(bar)?q=a b|c'), 'https://example.com/Foo_%28bar%29?q=a%20b%7Cc');
+        assert.equal(markdownUrl('https://example.com/issues/12'), 'https://example.com/issues/12');
+    });
+
+    test('renders commits from untrusted repositories as text', () => {
+        const commit = makeCommit({
+            subject: `Fix ${XSS}`,
+            body: `</p><script>alert(1)</script>`,
+            author: { name: XSS, email: '"><svg onload=alert(1)>', date: XSS },
+            refs: [`HEAD -> ${XSS}`, `tag: ${XSS}`],
+            path: XSS,
+            diff: `--- a/x\n+++ b/x\n@@ -1 +1 @@\n-${XSS}\n+</pre><script>alert(1)</script>`
+        });
+        const html = formatCommitsHTML([commit, makeCommit()], XSS, { standalone: true });
+
+        assert.doesNotMatch(html, /<script|<img|<svg onload/);
+        assert.match(html, /Fix &lt;img src=x onerror=&quot;alert\(1\)&quot;&gt;/);
+        assert.match(html, /&lt;\/pre&gt;&lt;script&gt;/);
+    });
+
+    test('leaves out scripts without a nonce', () => {
+        assert.doesNotMatch(formatCommitsHTML([makeCommit()], 'History'), /<script/);
+        assert.match(formatCommitsHTML([makeCommit()], 'History', { nonce: 'n0nce' }), /<script nonce="n0nce">/);
+    });
+});
+
+describe('formatting', () => {
+    test('formats line ranges and revisions', () => {
+        assert.equal(formatLineRanges([[3, 7], [12, 12]]), '3-7, 12');
+        assert.equal(formatRevision(undefined), 'HEAD');
+        assert.equal(formatRevision(ALL_REVISIONS), 'all branches');
+        assert.equal(formatRevision('v1.0'), 'v1.0');
+    });
+
+    test('formats relative dates like git', () => {
+        const now = Date.parse('2024-03-01T12:00:00Z');
+        assert.equal(formatRelativeDate('2024-03-01T11:59:59Z', now), '1 second ago');
+        assert.equal(formatRelativeDate('2024-02-28T12:00:00Z', now), '2 days ago');
+        assert.equal(formatRelativeDate('2023-01-01T00:00:00Z', now), '1 year ago');
+        assert.equal(formatRelativeDate('2024-03-02T00:00:00Z', now), 'in the future');
+        assert.equal(formatRelativeDate('not a date', now), 'not a date');
+    });
+});
@@ -0,0 +1,65 @@
+const { after, before, describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRepo, createToken } = require('./helpers');
+const { GitCancelledError } = require('../src/git');
+const { RepositoryRegistry, describeRepository } = require('../src/repositories');
+
+describe('repository registry', () => {
+    let repo;
+    let worktree;
+
+    before(() => {
+        repo = createRepo();
+        repo.write('src/a.txt', 'a\n');
+        repo.commit('Add a');
+        worktree = `${repo.root}-worktree`;
+        repo.git(['worktree', 'add', '--quiet', '-b', 'side', worktree]);
+    });
+
+    after(() => {
+        fs.rmSync(worktree, { recursive: true, force: true });
+        repo.remove();
+    });
+
+    test('finds the repository of a file', async () => {
+        const registry = new RepositoryRegistry();
+        const repository = await registry.find(repo.file('src/a.txt'));
+        assert.equal(repository.root, repo.root);
+        assert.equal(repository.worktree, false);
+        assert.equal(await registry.find(repo.file('a.txt')), repository);
+        assert.equal(await registry.getRoot(repo.file('src/a.txt')), repo.root);
+    });
+
+    test('finds nothing outside of a repository', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'code-history-plain-'));
+        try {
+            assert.equal(await new RepositoryRegistry().findDirectory(directory), null);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    test('discovers linked worktrees', async () => {
+        const repositories = await new RepositoryRegistry().discover([repo.root]);
+        const linked = repositories.find(repository => repository.root === worktree);
+        assert.equal(repositories.length, 2);
+        assert.equal(linked.worktree, true);
+        assert.equal(linked.name, path.basename(repo.root));
+        assert.equal(describeRepository(linked), `${path.basename(repo.root)} (worktree ${path.basename(worktree)})`);
+    });
+
+    test('keeps looking when the caller that started the lookup cancels', async () => {
+        const registry = new RepositoryRegistry();
+        const token = createToken();
+        const cancelled = registry.find(repo.file('src/a.txt'), { token });
+        const waiting = registry.find(repo.file('src/a.txt'), { token: createToken() });
+        token.cancel();
+
+        await assert.rejects(cancelled, GitCancelledError);
+        assert.equal((await waiting).root, repo.root);
+        await assert.rejects(registry.find(repo.file('src/a.txt'), { token }), GitCancelledError);
+    });
+});
@@ -0,0 +1,63 @@
+const { describe, test } = require('node:test');
+const assert = require('node:assert/strict');
+const { UNCOMMITTED_HASH } = require('../src/blame');
+const { compareWorkingCopy, lineStatus, mapRangesToHead, uncommittedChanges } = require('../src/workingTree');
+
+// Line 2 staged as "B", then a line inserted on top and line 4 edited
+const comparison = compareWorkingCopy({
+    head: 'a\nb\nc\nd\n',
+    index: 'a\nB\nc\nd\n',
+    working: 'new\na\nB\nc\nD\n'
+});
+
+describe('working copy comparison', () => {
+    test('tells unstaged, staged and committed lines apart', () => {
+        assert.deepEqual([0, 1, 2, 3, 4].map(line => lineStatus(comparison, line)), [
+            { status: 'unstaged' },
+            { status: 'committed', headLine: 0 },
+            { status: 'staged' },
+            { status: 'committed', headLine: 2 },
+            { status: 'unstaged' }
+        ]);
+    });
+
+    test('treats a file missing from HEAD and the index as all new', () => {
+        const added = compareWorkingCopy({ head: null, index: null, working: 'x\n' });
+        assert.deepEqual(lineStatus(added, 0), { status: 'unstaged' });
+    });
+});
+
+describe('mapRangesToHead', () => {
+    test('maps the committed lines of each range and drops the rest', () => {
+        assert.deepEqual(mapRangesToHead(comparison, [[1, 1], [2, 4], [5, 5]]), [[1, 3]]);
+    });
+
+    test('maps changed lines to the lines they replaced when asked to', () => {
+        assert.deepEqual(mapRangesToHead(comparison, [[1, 1], [2, 4], [5, 5]], { changedLines: true }), [[1, 3], [4, 4]]);
+    });
+
+    test('stops at the end of the file', () => {
+        assert.deepEqual(mapRangesToHead(comparison, [[4, 40]]), [[3, 3]]);
+    });
+});
+
+describe('uncommittedChanges', () => {
+    const options = { path: 'f.txt', date: '2024-01-01T00:00:00Z' };
+
+    test('lists unstaged and staged changes to the ranges, newest first', () => {
+        const changes = uncommittedChanges(comparison, [[1, 5]], options);
+        assert.deepEqual(changes.map(change => [change.subject, change.uncommitted]), [
+            ['Uncommitted changes', 'unstaged'],
+            ['Staged changes', 'staged']
+        ]);
+        assert.ok(changes.every(change => change.hash === UNCOMMITTED_HASH && change.path === 'f.txt'));
+        assert.equal(changes[0].author.date, options.date);
+        assert.equal(changes[0].diff, '--- a/f.txt\n+++ b/f.txt\n@@ -0,0 +1,1 @@\n+new\n@@ -4,1 +5,1 @@\n-d\n+D');
+        assert.deepEqual(changes[1].hunks[0].lines, [{ type: 'delete', text: 'b' }, { type: 'add', text: 'B' }]);
+    });
+
+    test('leaves out changes away from the ranges', () => {
+        assert.deepEqual(uncommittedChanges(comparison, [[3, 3]], options).map(change => change.subject), ['Staged changes']);
+        assert.deepEqual(uncommittedChanges(comparison, [[4, 4]], options), []);
+    });
+});